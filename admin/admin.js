@@ -1,110 +1,26 @@
 /**
  * Admin Panel JavaScript
- * Handles authentication, CRUD operations, and UI interactions
+ * Handles route protection, session timers, CRUD operations, and UI interactions
+ * Token storage, login and the current user live in auth.js
  */
 
 // ===== UTILITY FUNCTIONS =====
 
-/**
- * Get JWT token from localStorage
- */
-function getToken() {
-    return localStorage.getItem('blog_cms_token');
-}
-
-/**
- * Set JWT token in localStorage
- */
-function setToken(token) {
-    localStorage.setItem('blog_cms_token', token);
-}
-
-/**
- * Remove JWT token from localStorage
- */
-function removeToken() {
-    localStorage.removeItem('blog_cms_token');
-}
-
-/**
- * Check if user is authenticated
- */
-function isAuthenticated() {
-    return !!getToken();
-}
-
-/**
- * Verify token with backend /api/auth/me endpoint
- * Returns user data if valid, null if invalid
- */
-async function verifyTokenWithBackend() {
-    const token = getToken();
-
-    if (!token || token === 'undefined' || token === 'null') {
-        console.warn('⚠️ No token found in localStorage');
-        return null;
-    }
-
-    try {
-        console.log('🔐 Verifying token with backend...');
-
-        const response = await fetch(getApiUrl(API_CONFIG.ENDPOINTS.ME), {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        console.log('📥 Token verification response status:', response.status);
-
-        if (response.status === 401) {
-            console.error('🚫 Token verification failed: Unauthorized (expired or invalid token)');
-            removeToken();
-            return null;
-        }
-
-        if (!response.ok) {
-            console.error('🚫 Token verification failed with status:', response.status);
-            removeToken();
-            return null;
-        }
-
-        const data = await response.json();
-
-        if (data.success && data.data) {
-            console.log('✅ Token verified successfully. User:', data.data.email);
-            return data.data;
-        } else {
-            console.error('🚫 Invalid response format from /api/auth/me');
-            removeToken();
-            return null;
-        }
-
-    } catch (error) {
-        console.error('❌ Token verification error:', error.message);
-        // Don't remove token on network error - might be temporary
-        return null;
-    }
-}
-
 /**
  * Protect routes - redirect to login if not authenticated
  * Now includes backend verification
  */
 async function protectRoute() {
-    const token = getToken();
-
     // Quick check: if no token at all, redirect immediately
-    if (!token || token === 'undefined' || token === 'null') {
+    if (!Auth.getToken()) {
         console.warn('⚠️ Session missing or invalid. Redirecting to login.');
-        removeToken();
+        Auth.removeToken();
         window.location.replace('login.html');
         return false;
     }
 
     // Verify token with backend
-    const user = await verifyTokenWithBackend();
+    const user = await Auth.verifyTokenWithBackend();
 
     if (!user) {
         console.warn('⚠️ Token verification failed. Redirecting to login.');
@@ -112,80 +28,95 @@ async function protectRoute() {
         return false;
     }
 
-    console.log('🛡️ Route protection passed. User authenticated:', user.email);
+    console.log('🛡️ Route protection passed. User authenticated:', user.email, `(${getUserRole(user)})`);
     return true;
 }
 
-// ===== AUTO-LOGOUT FUNCTIONS =====
+// ===== PERMISSIONS =====
 
-// Store auto-logout timer ID globally
-let autoLogoutTimer = null;
+// What each role may do; ":own" actions only apply to posts the user wrote
+const ROLE_PERMISSIONS = {
+    admin: ['create', 'edit:any', 'publish:any', 'delete:any', 'change-password', 'manage-users'],
+    editor: ['create', 'edit:any', 'publish:any', 'delete:any', 'change-password'],
+    author: ['create', 'edit:own', 'delete:own', 'change-password'],
+    viewer: ['change-password']
+};
+
+const ROLE_LABELS = { admin: 'Admin', editor: 'Editor', author: 'Author', viewer: 'Viewer' };
 
 /**
- * Decode JWT token without verification (client-side only)
- * Returns the payload or null if invalid
+ * Role of the signed-in user (from /api/auth/me via Auth.getCurrentUser())
  */
-function decodeJWT(token) {
-    try {
-        // JWT structure: header.payload.signature
-        const parts = token.split('.');
-        if (parts.length !== 3) {
-            console.error('❌ Invalid JWT format');
-            return null;
-        }
-
-        // Decode base64url encoded payload
-        const payload = parts[1];
-        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
-        const jsonPayload = decodeURIComponent(
-            atob(base64)
-                .split('')
-                .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-                .join('')
-        );
+function getUserRole(user = Auth.getCurrentUser()) {
+    // A missing or unknown role gets the least access, never more
+    if (!user || !user.role) return 'viewer';
+    const role = String(user.role).toLowerCase();
+    return ROLE_PERMISSIONS[role] ? role : 'viewer';
+}
 
-        return JSON.parse(jsonPayload);
-    } catch (error) {
-        console.error('❌ JWT decode error:', error.message);
-        return null;
-    }
+function getUserId(user) {
+    return user ? String(user._id || user.id || '') : '';
 }
 
 /**
- * Check if JWT token is expired
- * Returns true if expired, false if still valid
+ * Check whether a post was written by the user (author may be an id or a populated object)
  */
-function isTokenExpired(token) {
-    const payload = decodeJWT(token);
-
-    if (!payload || !payload.exp) {
-        console.warn('⚠️ Token has no expiration field');
-        return true; // Treat as expired if no exp field
-    }
+function isOwnPost(post, user = Auth.getCurrentUser()) {
+    const author = post.author || post.authorId || post.createdBy;
+    const authorId = author && typeof author === 'object' ? getUserId(author) : String(author || '');
+    const userId = getUserId(user);
+    return !!authorId && !!userId && authorId === userId;
+}
 
-    // exp is in seconds, Date.now() is in milliseconds
-    const expirationTime = payload.exp * 1000;
-    const currentTime = Date.now();
+/**
+ * Check a permission for the signed-in user
+ * @param {string} action - e.g. 'create', 'edit', 'publish', 'delete', 'change-password'
+ * @param {object} [post] - for post actions, grants ":any" or (when it is theirs) ":own"
+ */
+function can(action, post = null) {
+    const permissions = ROLE_PERMISSIONS[getUserRole()];
+    if (!post) return permissions.includes(action);
+    return permissions.includes(`${action}:any`) || (permissions.includes(`${action}:own`) && isOwnPost(post));
+}
 
-    return currentTime >= expirationTime;
+/**
+ * Make a form read-only when the user's role doesn't allow submitting it
+ */
+function disableForm(form) {
+    form.classList.add('form-readonly');
+    Array.from(form.elements).forEach(element => {
+        element.disabled = true;
+    });
 }
 
 /**
- * Get remaining time until token expires (in milliseconds)
+ * Show "name · role" for the signed-in user in a header element
  */
-function getTokenRemainingTime(token) {
-    const payload = decodeJWT(token);
+function renderCurrentUser(elementId) {
+    const element = document.getElementById(elementId);
+    const user = Auth.getCurrentUser();
+    if (!element || !user) return;
+
+    const role = getUserRole(user);
+    element.innerHTML = `
+        <span class="current-user-name">${Sanitizer.escapeHtml(user.name || user.username || user.email)}</span>
+        <span class="role-badge role-${role}">${ROLE_LABELS[role]}</span>
+    `;
+}
 
-    if (!payload || !payload.exp) {
-        return 0;
-    }
+// ===== AUTO-LOGOUT FUNCTIONS =====
+
+// Store auto-logout timer ID globally
+let autoLogoutTimer = null;
 
-    const expirationTime = payload.exp * 1000;
-    const currentTime = Date.now();
-    const remainingTime = expirationTime - currentTime;
+// Proactive refresh state
+let tokenRefreshTimer = null;
+let sessionCountdownTimer = null;
+let lastActivityAt = Date.now();
+let activityTrackingStarted = false;
 
-    return Math.max(0, remainingTime);
-}
+const REFRESH_BEFORE_EXPIRY = 2 * 60 * 1000; // refresh 2 minutes before the token expires
+const IDLE_LIMIT = 15 * 60 * 1000; // idle users are asked before their session is extended
 
 /**
  * Format milliseconds to human-readable time
@@ -196,27 +127,125 @@ function formatTime(ms) {
     return `${minutes}m ${seconds}s`;
 }
 
+/**
+ * Remember the last time the user interacted with the page
+ */
+function startActivityTracking() {
+    if (activityTrackingStarted) return;
+    activityTrackingStarted = true;
+
+    ['keydown', 'pointerdown', 'scroll', 'input'].forEach(eventName => {
+        window.addEventListener(eventName, () => {
+            lastActivityAt = Date.now();
+        }, { passive: true, capture: true });
+    });
+}
+
+/**
+ * Show a non-blocking banner at the top of the admin page
+ * @param {string} message - plain text
+ * @param {Array<{label: string, className?: string, onClick: Function}>} [actions]
+ */
+function showSessionBanner(message, actions = []) {
+    let banner = document.getElementById('sessionBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'sessionBanner';
+        banner.className = 'session-banner';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+
+    banner.innerHTML = `
+        <span class="session-banner-message">${Sanitizer.escapeHtml(message)}</span>
+        <div class="session-banner-actions"></div>
+    `;
+
+    const actionsContainer = banner.querySelector('.session-banner-actions');
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${action.className || 'btn-secondary'}`;
+        button.textContent = action.label;
+        button.addEventListener('click', action.onClick);
+        actionsContainer.appendChild(button);
+    });
+
+    banner.style.display = 'flex';
+}
+
+/**
+ * Hide the session banner and stop its countdown
+ */
+function hideSessionBanner() {
+    if (sessionCountdownTimer) {
+        clearInterval(sessionCountdownTimer);
+        sessionCountdownTimer = null;
+    }
+    const banner = document.getElementById('sessionBanner');
+    if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Ask the user whether to extend the session, with a live countdown
+ */
+function promptStaySignedIn(message = 'Your session is about to expire.') {
+    if (sessionCountdownTimer) {
+        clearInterval(sessionCountdownTimer);
+        sessionCountdownTimer = null;
+    }
+
+    const render = () => {
+        const remaining = Auth.getTokenRemainingTime(Auth.getToken());
+        showSessionBanner(`${message} You will be signed out in ${formatTime(remaining)}. Stay signed in?`, [
+            {
+                label: 'Stay signed in',
+                className: 'btn-primary',
+                onClick: async () => {
+                    if (await Auth.refreshToken()) {
+                        hideSessionBanner();
+                        setupAutoLogout();
+                    } else {
+                        promptStaySignedIn('We could not extend your session. Save your work.');
+                    }
+                }
+            },
+            { label: 'Log out', onClick: () => performLogout('Logged out') }
+        ]);
+    };
+
+    render();
+    sessionCountdownTimer = setInterval(render, 1000);
+}
+
 /**
  * Perform logout: clear token, show message, redirect
  */
 function performLogout(reason = 'Session expired') {
     console.log('🚪 Auto-logout triggered:', reason);
 
-    // Clear any existing timer
+    // Clear any existing timers
     if (autoLogoutTimer) {
         clearTimeout(autoLogoutTimer);
         autoLogoutTimer = null;
     }
+    if (tokenRefreshTimer) {
+        clearTimeout(tokenRefreshTimer);
+        tokenRefreshTimer = null;
+    }
+    hideSessionBanner();
 
     // Remove token
-    removeToken();
-    console.log('✅ Token cleared from localStorage');
+    Auth.logout();
 
-    // Show alert to user
-    alert(`${reason}. Please login again.`);
+    // Let open editors keep their work as a local draft
+    window.dispatchEvent(new Event('admin:logout'));
 
-    // Redirect to login
-    window.location.replace('login.html');
+    // Tell the user without blocking the page, then redirect to login
+    showSessionBanner(`${reason}. Redirecting to login...`);
+    setTimeout(() => {
+        window.location.replace('login.html');
+    }, 1500);
 }
 
 /**
@@ -225,9 +254,9 @@ function performLogout(reason = 'Session expired') {
  * If valid, return remaining time
  */
 function checkTokenExpiry() {
-    const token = getToken();
+    const token = Auth.getToken();
 
-    if (!token || token === 'undefined' || token === 'null') {
+    if (!token) {
         console.warn('⚠️ No token to check expiry');
         return 0;
     }
@@ -235,28 +264,37 @@ function checkTokenExpiry() {
     console.log('⏰ Checking token expiry...');
 
     // Check if token is already expired
-    if (isTokenExpired(token)) {
+    if (Auth.isTokenExpired(token)) {
         console.error('🚫 Token has already expired!');
         performLogout('Session expired');
         return 0;
     }
 
-    const remainingTime = getTokenRemainingTime(token);
+    const remainingTime = Auth.getTokenRemainingTime(token);
     console.log(`✅ Token is valid. Expires in: ${formatTime(remainingTime)}`);
 
     return remainingTime;
 }
 
 /**
- * Setup auto-logout timer
- * Schedules logout slightly before token expires (30 seconds buffer)
+ * Setup session timers
+ * Refreshes the token shortly before it expires (silently for active users,
+ * after a "stay signed in?" prompt for idle ones) and still schedules logout
+ * slightly before expiry (30 seconds buffer) in case the refresh never happens
  */
 function setupAutoLogout() {
-    // Clear any existing timer first
+    // Clear any existing timers first
     if (autoLogoutTimer) {
         clearTimeout(autoLogoutTimer);
         autoLogoutTimer = null;
     }
+    if (tokenRefreshTimer) {
+        clearTimeout(tokenRefreshTimer);
+        tokenRefreshTimer = null;
+    }
+
+    startActivityTracking();
+    startSessionSync();
 
     const remainingTime = checkTokenExpiry();
 
@@ -274,8 +312,117 @@ function setupAutoLogout() {
 
     // Set timeout to logout before expiry
     autoLogoutTimer = setTimeout(() => {
-        performLogout('Session expiring soon');
+        performLogout('Session expired');
     }, logoutTime);
+
+    // Refresh ahead of the logout; the jitter keeps several open tabs from refreshing at once
+    const refreshTime = Math.max(remainingTime - REFRESH_BEFORE_EXPIRY - Math.random() * 10000, 0);
+    console.log(`🔄 Token refresh scheduled in: ${formatTime(refreshTime)}`);
+
+    const scheduledToken = Auth.getToken();
+    tokenRefreshTimer = setTimeout(async () => {
+        // Another tab may already have refreshed the shared token
+        if (Auth.getToken() !== scheduledToken) {
+            setupAutoLogout();
+            return;
+        }
+        if (Date.now() - lastActivityAt > IDLE_LIMIT) {
+            promptStaySignedIn();
+            return;
+        }
+        if (await Auth.refreshToken()) {
+            setupAutoLogout();
+        } else {
+            promptStaySignedIn('We could not refresh your session.');
+        }
+    }, refreshTime);
+}
+
+// ===== CROSS-TAB SESSION SYNC =====
+
+let sessionSyncStarted = false;
+let sessionSubject = null;
+
+/**
+ * Disable every form on the page so nothing is submitted with the wrong session
+ * Only controls this function disabled are re-enabled by unlockStaleForms()
+ */
+function lockStaleForms() {
+    document.querySelectorAll('form').forEach(form => {
+        form.classList.add('form-locked');
+        Array.from(form.elements).forEach(element => {
+            if (!element.disabled) {
+                element.disabled = true;
+                element.dataset.sessionLocked = 'true';
+            }
+        });
+    });
+}
+
+function unlockStaleForms() {
+    document.querySelectorAll('form.form-locked').forEach(form => {
+        form.classList.remove('form-locked');
+        form.querySelectorAll('[data-session-locked]').forEach(element => {
+            element.disabled = false;
+            delete element.dataset.sessionLocked;
+        });
+    });
+}
+
+/**
+ * React to token changes made by other admin tabs
+ * (the storage event only fires in tabs other than the one that wrote the value)
+ */
+function handleTokenChange(newToken) {
+    // Logged out elsewhere
+    if (!newToken) {
+        console.warn('🚪 Signed out in another tab');
+        clearTimeout(autoLogoutTimer);
+        clearTimeout(tokenRefreshTimer);
+        hideSessionBanner();
+        window.dispatchEvent(new Event('admin:logout'));
+        lockStaleForms();
+        showSessionBanner('You were signed out in another tab. Unsaved changes are kept as a local draft.', [
+            { label: 'Log in again', className: 'btn-primary', onClick: () => window.location.replace('login.html') }
+        ]);
+        return;
+    }
+
+    const subject = Auth.getTokenSubject(newToken);
+
+    // Someone else signed in elsewhere: this page belongs to the previous user
+    if (sessionSubject && subject !== sessionSubject) {
+        console.warn('👤 A different user signed in from another tab');
+        clearTimeout(autoLogoutTimer);
+        clearTimeout(tokenRefreshTimer);
+        lockStaleForms();
+        showSessionBanner('A different account signed in from another tab. Reload to continue as that user.', [
+            { label: 'Reload', className: 'btn-primary', onClick: () => window.location.reload() }
+        ]);
+        return;
+    }
+
+    // Token refreshed, or the same user signed back in
+    console.log('🔄 Session updated in another tab');
+    sessionSubject = subject;
+    hideSessionBanner();
+    unlockStaleForms();
+    setupAutoLogout();
+}
+
+/**
+ * Keep logout, login and token refreshes in step across every open admin tab
+ */
+function startSessionSync() {
+    if (sessionSyncStarted) return;
+    sessionSyncStarted = true;
+    sessionSubject = Auth.getTokenSubject(Auth.getToken());
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === Auth.TOKEN_KEY || e.key === null) {
+            handleTokenChange(e.key === null ? null : e.newValue);
+        }
+    });
 }
 
 
@@ -287,6 +434,271 @@ function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', options);
 }
 
+/**
+ * Parse tags from a comma-separated string or an array
+ * Trims, drops empties and removes case-insensitive duplicates
+ */
+function parseTags(value) {
+    const rawTags = Array.isArray(value) ? value : String(value || '').split(',');
+    const tags = [];
+    rawTags.forEach(tag => {
+        const trimmed = String(tag).trim();
+        if (trimmed && !tags.some(t => t.toLowerCase() === trimmed.toLowerCase())) {
+            tags.push(trimmed);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Append tags to FormData as a multi-valued "tags" field
+ * An empty value is sent when there are no tags so edits can clear them
+ */
+function appendTags(formData, tags) {
+    if (tags.length === 0) {
+        formData.append('tags', '');
+        return;
+    }
+    tags.forEach(tag => formData.append('tags', tag));
+}
+
+/**
+ * Resolve a post image path to a safe absolute URL
+ */
+function resolveImageUrl(image) {
+    const imageUrl = image.startsWith('http') ? image : API_CONFIG.BASE_URL + image;
+    return Sanitizer.safeUrl(imageUrl);
+}
+
+// Last dashboard sort/filter query, so add/edit can send the user back to the same view
+const DASHBOARD_QUERY_KEY = 'blog_cms_dashboard_query';
+
+/**
+ * Dashboard URL including the table state the user last had
+ */
+function getDashboardUrl() {
+    return `dashboard.html${sessionStorage.getItem(DASHBOARD_QUERY_KEY) || ''}`;
+}
+
+/**
+ * Point "Back to Dashboard"/"Cancel" links at the dashboard view the user came from
+ */
+function linkBackToDashboard() {
+    document.querySelectorAll('a[href="dashboard.html"]').forEach(link => {
+        link.href = getDashboardUrl();
+    });
+}
+
+const STATUS_LABELS = { published: '✅ Published', draft: '📝 Draft', scheduled: '⏰ Scheduled' };
+
+/**
+ * Status used by the dashboard: 'scheduled' (published with a future publishAt), 'published' or 'draft'
+ */
+function getPostStatus(post) {
+    if (post.published !== true) return 'draft';
+    if (post.publishAt && new Date(post.publishAt) > new Date()) return 'scheduled';
+    return 'published';
+}
+
+// ===== SCHEDULING =====
+
+/**
+ * Browser timezone shown next to publish times, e.g. "Europe/Berlin (UTC+02:00)"
+ */
+function getTimezoneLabel(date = new Date()) {
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return `${zone ? `${zone} ` : ''}(UTC${sign}${hours}:${minutes})`;
+}
+
+/**
+ * Convert an ISO date to a <input type="datetime-local"> value in local time
+ */
+function toDateTimeLocal(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) return '';
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Convert a datetime-local value (local time) to an ISO string, or '' when empty
+ */
+function fromDateTimeLocal(value) {
+    return value ? new Date(value).toISOString() : '';
+}
+
+/**
+ * Format a duration as a short countdown: "2d 4h", "3h 12m", "12m"
+ */
+function formatCountdown(ms) {
+    const totalMinutes = Math.max(0, Math.ceil(ms / 60000));
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Keep the publishAt hint in sync with the chosen time
+ * @param {Function} [onChange] - called with true while the chosen time is in the future
+ * @returns {{ update: Function }}
+ */
+function setupPublishAtField(onChange) {
+    const input = document.getElementById('publishAt');
+    const hint = document.getElementById('publishAtHint');
+    const timezone = getTimezoneLabel();
+
+    function update() {
+        const date = input.value ? new Date(input.value) : null;
+        const isFuture = !!date && date > new Date();
+
+        if (isFuture) {
+            hint.textContent = `Goes live ${date.toLocaleString()} ${timezone}, in ${formatCountdown(date - new Date())}`;
+        } else if (date) {
+            hint.textContent = `This time has passed, so the post goes live immediately. Times are in ${timezone}`;
+        } else {
+            hint.textContent = `Leave empty to publish immediately. Times are in ${timezone}`;
+        }
+        if (onChange) onChange(isFuture);
+    }
+
+    input.addEventListener('input', update);
+    input.addEventListener('change', update);
+    update();
+
+    return { update };
+}
+
+/**
+ * Generate a random temporary password that meets the backend's rules
+ * (at least 8 chars with an uppercase letter, a number and a special character)
+ */
+function generatePassword(length = 14) {
+    const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnpqrstuvwxyz', '23456789', '!@#$%&*?'];
+    const all = sets.join('');
+    const random = new Uint32Array(length);
+    crypto.getRandomValues(random);
+
+    // One character from each set, then fill up from all of them
+    const chars = Array.from(random, (value, i) => {
+        const set = i < sets.length ? sets[i] : all;
+        return set[value % set.length];
+    });
+
+    // Shuffle so the required characters aren't always first
+    const order = new Uint32Array(length);
+    crypto.getRandomValues(order);
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = order[i] % (i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+}
+
+/**
+ * Run an async worker over items with at most `limit` calls in flight
+ * @param {Function} [onSettled] - called with each result as soon as it finishes
+ * @returns {Promise<Array<{item: *, ok: boolean, value?: *, error?: Error}>>} results in input order
+ */
+async function runWithConcurrency(items, limit, worker, onSettled) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { item: items[index], ok: true, value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { item: items[index], ok: false, error };
+            }
+            if (onSettled) onSettled(results[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+    return results;
+}
+
+/**
+ * Word-level diff between two texts (LCS over words and whitespace runs)
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffWords(before, after) {
+    const a = String(before || '').split(/(\s+)/).filter(Boolean);
+    const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+    // Trim the common prefix/suffix so the LCS table only covers the edited region
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMid = a.slice(prefix, a.length - suffix);
+    const newMid = b.slice(prefix, b.length - suffix);
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else if (text) parts.push({ type, text });
+    };
+
+    push('same', a.slice(0, prefix).join(''));
+
+    const n = oldMid.length;
+    const m = newMid.length;
+    if (n * m > 4000000) {
+        // Too large to align word by word; show the edited region as replaced
+        push('removed', oldMid.join(''));
+        push('added', newMid.join(''));
+    } else {
+        const table = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * (m + 1) + j] = oldMid[i] === newMid[j]
+                    ? table[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (oldMid[i] === newMid[j]) {
+                push('same', oldMid[i++]);
+                j++;
+            } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+                push('removed', oldMid[i++]);
+            } else {
+                push('added', newMid[j++]);
+            }
+        }
+        while (i < n) push('removed', oldMid[i++]);
+        while (j < m) push('added', newMid[j++]);
+    }
+
+    push('same', a.slice(a.length - suffix).join(''));
+    return parts;
+}
+
+/**
+ * Render a diffWords() result as escaped HTML with <ins>/<del> markup
+ */
+function renderWordDiff(parts) {
+    return parts.map(part => {
+        const text = Sanitizer.escapeHtml(part.text);
+        if (part.type === 'added') return `<ins>${text}</ins>`;
+        if (part.type === 'removed') return `<del>${text}</del>`;
+        return text;
+    }).join('');
+}
+
 /**
  * Show error message
  */
@@ -322,13 +734,30 @@ function showSuccess(elementId, message) {
     }
 }
 
+/**
+ * Drop the session after a 401 and send the user back to the login page
+ */
+function redirectUnauthorized() {
+    console.error('🚫 Session expired or unauthorized. Logging out...');
+    Auth.removeToken();
+    window.dispatchEvent(new Event('admin:logout'));
+
+    // Avoid infinite loops if already on login page
+    if (!window.location.pathname.includes('login.html')) {
+        window.location.replace('login.html');
+    }
+}
+
 /**
  * API request helper with authentication
+ * Pass onResponse to read headers (e.g. ETag); failed requests throw an Error
+ * carrying the HTTP status and response body
  */
 async function apiRequest(endpoint, options = {}) {
-    const token = getToken();
+    const { isRetry = false, onResponse, ...fetchOptions } = options;
+    const token = Auth.getToken();
     const headers = {
-        ...options.headers,
+        ...fetchOptions.headers,
     };
 
     // Add authorization header if token exists
@@ -337,32 +766,38 @@ async function apiRequest(endpoint, options = {}) {
     }
 
     // Don't add Content-Type for FormData
-    if (!(options.body instanceof FormData)) {
+    if (!(fetchOptions.body instanceof FormData)) {
         headers['Content-Type'] = 'application/json';
     }
 
     try {
         const response = await fetch(getApiUrl(endpoint), {
-            ...options,
+            ...fetchOptions,
             headers,
         });
 
+        // Token may have expired between checks: refresh once and replay the request
+        if (response.status === 401 && token && !isRetry && await Auth.refreshToken()) {
+            console.log('🔁 Retrying request with refreshed token');
+            setupAutoLogout();
+            return apiRequest(endpoint, { ...options, isRetry: true });
+        }
+
         // 🛡️ SECURITY FIX: Handle 401 Unauthorized (Expired or Invalid Token)
         if (response.status === 401) {
-            console.error('🚫 Session expired or unauthorized. Logging out...');
-            removeToken();
-
-            // Avoid infinite loops if already on login page
-            if (!window.location.pathname.includes('login.html')) {
-                window.location.replace('login.html');
-            }
+            redirectUnauthorized();
             return null;
         }
 
+        if (onResponse) onResponse(response);
+
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.message || 'Something went wrong');
+            const error = new Error(data.message || 'Something went wrong');
+            error.status = response.status;
+            error.data = data;
+            throw error;
         }
 
         return data;
@@ -372,56 +807,1834 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
-// ===== LOGIN PAGE =====
-if (window.location.pathname.includes('login.html')) {
-    // Redirect to dashboard if already logged in
-    if (isAuthenticated()) {
-        window.location.href = 'dashboard.html';
-    }
-
-    const loginForm = document.getElementById('loginForm');
-    const loginBtn = document.getElementById('loginBtn');
-
-    loginForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        hideError('errorMessage');
+// ===== UPLOAD TRANSPORT =====
 
-        const email = document.getElementById('email').value.trim();
-        const password = document.getElementById('password').value;
+const UPLOAD_MAX_ATTEMPTS = 3;
+const UPLOAD_RETRY_BASE_DELAY = 1000; // 1s, 2s, 4s...
+// Methods that can be replayed without creating duplicates
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
 
-        // Validation
-        if (!email || !password) {
-            showError('errorMessage', 'Please fill in all fields');
-            return;
+/**
+ * Error for a failed upload; kind is one of
+ * network, aborted, too-large (413), validation (other 4xx) or server (5xx)
+ */
+function createUploadError(kind, status = 0, data = {}) {
+    const messages = {
+        network: 'Network error: the server could not be reached. Check your connection and try again.',
+        aborted: 'Upload cancelled.',
+        'too-large': 'The upload is too large for the server. Use a smaller image or a lower image quality.',
+        validation: data.message || `The server rejected the request (${status}).`,
+        server: `The server failed to process the request (${status}). Please try again in a moment.`
+    };
+    const error = new Error(messages[kind]);
+    error.kind = kind;
+    error.status = status;
+    error.data = data;
+    return error;
+}
+
+function classifyUploadStatus(status) {
+    if (status === 413) return 'too-large';
+    if (status >= 500) return 'server';
+    return 'validation';
+}
+
+/**
+ * Wait before a retry; rejects straight away when the upload is cancelled
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createUploadError('aborted'));
+            return;
+        }
+        const timer = setTimeout(resolve, delay);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createUploadError('aborted'));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * One XMLHttpRequest (fetch can't report upload progress)
+ * @returns {Promise<{ status: number, text: string }>}
+ */
+function sendXhr(url, { method, headers, body, onProgress, signal }) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        if (onProgress) {
+            xhr.upload.addEventListener('progress', (e) => {
+                onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+            });
+        }
+
+        xhr.addEventListener('load', () => resolve({ status: xhr.status, text: xhr.responseText }));
+        xhr.addEventListener('error', () => reject(createUploadError('network')));
+        xhr.addEventListener('timeout', () => reject(createUploadError('network')));
+        xhr.addEventListener('abort', () => reject(createUploadError('aborted')));
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(createUploadError('aborted'));
+                return;
+            }
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+
+        xhr.send(body);
+    });
+}
+
+/**
+ * apiRequest() for large bodies: reports upload progress, can be cancelled and
+ * retries idempotent calls (GET/PUT/DELETE) with exponential backoff after a
+ * network error or 5xx
+ * @param {string} endpoint
+ * @param {object} [options]
+ * @param {string} [options.method='POST']
+ * @param {FormData|string} [options.body]
+ * @param {object} [options.headers]
+ * @param {Function} [options.onProgress] - (loadedBytes, totalBytes)
+ * @param {Function} [options.onRetry] - (attempt, delayMs, error) before each retry
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object|null>} response data, or null after a 401 redirect
+ * @throws {Error} with kind, status and data (see createUploadError)
+ */
+async function uploadRequest(endpoint, options = {}) {
+    const { method = 'POST', body, headers = {}, onProgress, onRetry, signal, isRetry = false } = options;
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? UPLOAD_MAX_ATTEMPTS : 1;
+
+    for (let attempt = 1; ; attempt++) {
+        const token = Auth.getToken();
+        const requestHeaders = { ...headers };
+        if (token) {
+            requestHeaders['Authorization'] = `Bearer ${token}`;
+        }
+        if (!(body instanceof FormData)) {
+            requestHeaders['Content-Type'] = 'application/json';
+        }
+
+        try {
+            const response = await sendXhr(getApiUrl(endpoint), {
+                method,
+                headers: requestHeaders,
+                body,
+                onProgress,
+                signal
+            });
+
+            if (response.status === 401) {
+                if (token && !isRetry && await Auth.refreshToken()) {
+                    console.log('🔁 Retrying upload with refreshed token');
+                    setupAutoLogout();
+                    return uploadRequest(endpoint, { ...options, isRetry: true });
+                }
+                redirectUnauthorized();
+                return null;
+            }
+
+            let data = {};
+            try {
+                data = response.text ? JSON.parse(response.text) : {};
+            } catch (error) {
+                // Proxies answer 413/502 with HTML pages
+            }
+
+            if (response.status < 200 || response.status >= 300) {
+                throw createUploadError(classifyUploadStatus(response.status), response.status, data);
+            }
+            return data;
+        } catch (error) {
+            const retryable = error.kind === 'network' || error.kind === 'server';
+            if (!retryable || attempt >= maxAttempts) {
+                console.error(`📡 Upload failed (${error.kind}):`, error.message);
+                throw error;
+            }
+
+            const delay = UPLOAD_RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.random() * 250;
+            console.warn(`🔁 Upload attempt ${attempt} failed (${error.kind}), retrying in ${Math.round(delay)}ms`);
+            if (onRetry) onRetry(attempt, delay, error);
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+/**
+ * Progress bar + cancel button for a form submission
+ * @param {string} elementId - id of the .upload-progress block
+ * @returns {{ start: Function, update: Function, retrying: Function, finish: Function }}
+ */
+function setupUploadProgress(elementId) {
+    const element = document.getElementById(elementId);
+    const bar = element.querySelector('progress');
+    const label = element.querySelector('.upload-progress-label');
+    const cancelBtn = element.querySelector('[data-upload-cancel]');
+    let controller = null;
+
+    cancelBtn.addEventListener('click', () => {
+        if (controller) controller.abort();
+    });
+
+    /**
+     * Show the bar for a new upload
+     * @returns {AbortSignal} pass to uploadRequest()
+     */
+    function start() {
+        controller = new AbortController();
+        bar.value = 0;
+        bar.removeAttribute('max');
+        label.textContent = 'Starting upload...';
+        cancelBtn.disabled = false;
+        element.style.display = 'block';
+        return controller.signal;
+    }
+
+    function update(loaded, total) {
+        if (!total) {
+            label.textContent = `Uploading ${formatBytes(loaded)}...`;
+            return;
+        }
+        bar.max = total;
+        bar.value = loaded;
+        label.textContent = loaded >= total
+            ? 'Upload complete, waiting for the server...'
+            : `Uploading ${formatBytes(loaded) || '0 B'} of ${formatBytes(total)} (${Math.round((loaded / total) * 100)}%)`;
+    }
+
+    function retrying(attempt, delay) {
+        bar.value = 0;
+        label.textContent = `Connection problem. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${UPLOAD_MAX_ATTEMPTS})...`;
+    }
+
+    function finish() {
+        controller = null;
+        element.style.display = 'none';
+    }
+
+    return { start, update, retrying, finish };
+}
+
+// ===== MARKDOWN EDITOR =====
+
+/**
+ * Render post content for the editor preview
+ * Uses the same renderer, options and sanitizer as formatContent() in blog.js
+ */
+function renderPostPreview(content) {
+    return Sanitizer.sanitizeHtml(Markdown.render(content, Markdown.POST_OPTIONS));
+}
+
+/**
+ * Replace the textarea selection, keeping the browser's undo history where possible
+ */
+function replaceTextareaSelection(textarea, text, selectStart, selectEnd) {
+    const start = textarea.selectionStart;
+    textarea.focus();
+
+    // execCommand keeps Ctrl+Z working; setRangeText is the fallback
+    if (!document.execCommand('insertText', false, text)) {
+        textarea.setRangeText(text, start, textarea.selectionEnd, 'end');
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    textarea.setSelectionRange(start + selectStart, start + selectEnd);
+}
+
+/**
+ * Wrap the selection in a marker (**bold**, _italic_, `code`), or unwrap it if already wrapped
+ */
+function toggleInlineMarker(textarea, marker, placeholder) {
+    const { value, selectionStart: start, selectionEnd: end } = textarea;
+    const selected = value.slice(start, end);
+    const size = marker.length;
+
+    if (value.slice(start - size, start) === marker && value.slice(end, end + size) === marker) {
+        textarea.setSelectionRange(start - size, end + size);
+        replaceTextareaSelection(textarea, selected, 0, selected.length);
+        return;
+    }
+
+    const text = selected || placeholder;
+    replaceTextareaSelection(textarea, `${marker}${text}${marker}`, size, size + text.length);
+}
+
+/**
+ * Add or remove a prefix ("## ", "- ", "> ", "1. ") on every selected line
+ */
+function toggleLinePrefix(textarea, prefix, pattern) {
+    const { value, selectionStart } = textarea;
+    let { selectionEnd } = textarea;
+
+    // A selection ending just after a newline should not pull in the next line
+    if (selectionEnd > selectionStart && value[selectionEnd - 1] === '\n') selectionEnd--;
+
+    const lineStart = selectionStart === 0 ? 0 : value.lastIndexOf('\n', selectionStart - 1) + 1;
+    let lineEnd = value.indexOf('\n', selectionEnd);
+    if (lineEnd === -1) lineEnd = value.length;
+
+    const lines = value.slice(lineStart, lineEnd).split('\n');
+    const prefixFor = typeof prefix === 'function' ? prefix : () => prefix;
+    const filled = lines.filter(line => line.trim());
+    const removing = filled.length > 0 && filled.every((line, i) => line.startsWith(prefixFor(i)));
+
+    let index = 0;
+    const updated = lines.map(line => {
+        if (!line.trim()) return line;
+        if (removing) return line.slice(prefixFor(index++).length);
+        // Swap out a different prefix of the same kind (e.g. "### " -> "## ")
+        return prefixFor(index++) + line.replace(pattern, '');
+    }).join('\n');
+
+    textarea.setSelectionRange(lineStart, lineEnd);
+    replaceTextareaSelection(textarea, updated, 0, updated.length);
+}
+
+// Toolbar actions, keyed by the buttons' data-md attribute
+const MARKDOWN_ACTIONS = {
+    bold: textarea => toggleInlineMarker(textarea, '**', 'bold text'),
+    italic: textarea => toggleInlineMarker(textarea, '_', 'italic text'),
+    h2: textarea => toggleLinePrefix(textarea, '## ', /^#{1,6}\s+/),
+    h3: textarea => toggleLinePrefix(textarea, '### ', /^#{1,6}\s+/),
+    ul: textarea => toggleLinePrefix(textarea, '- ', /^(?:[-*+]|\d+[.)])\s+/),
+    ol: textarea => toggleLinePrefix(textarea, i => `${i + 1}. `, /^(?:[-*+]|\d+[.)])\s+/),
+    quote: textarea => toggleLinePrefix(textarea, '> ', /^>\s?/),
+    link: textarea => {
+        const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+        const text = selected || 'link text';
+        // Select the URL placeholder so it can be typed over straight away
+        replaceTextareaSelection(textarea, `[${text}](https://)`, text.length + 3, text.length + 11);
+    },
+    code: textarea => {
+        const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+        if (!selected.includes('\n')) {
+            toggleInlineMarker(textarea, '`', 'code');
+            return;
+        }
+        const block = `\`\`\`\n${selected.replace(/\n$/, '')}\n\`\`\`\n`;
+        replaceTextareaSelection(textarea, block, 4, block.length - 5);
+    },
+    image: async textarea => {
+        const asset = await openMediaPicker({ title: 'Insert an image' });
+        if (!asset) return;
+        const snippet = getMarkdownImageSnippet(asset);
+        replaceTextareaSelection(textarea, snippet, snippet.length, snippet.length);
+    }
+};
+
+// Ctrl/Cmd shortcuts: "b" = Ctrl+B, "shift+8" = Ctrl+Shift+8
+const MARKDOWN_SHORTCUTS = {
+    b: 'bold',
+    i: 'italic',
+    k: 'link',
+    e: 'code',
+    'alt+2': 'h2',
+    'alt+3': 'h3',
+    'shift+7': 'ol',
+    'shift+8': 'ul',
+    'shift+9': 'quote'
+};
+
+/**
+ * Turn a .md-editor block into a toolbar + textarea + live preview editor
+ * @param {string} editorId - id of the .md-editor wrapper
+ * @returns {{ textarea: HTMLTextAreaElement, refresh: Function, hasPendingUploads: Function }|null}
+ */
+function setupMarkdownEditor(editorId) {
+    const editor = document.getElementById(editorId);
+    if (!editor) return null;
+
+    const textarea = editor.querySelector('textarea');
+    const preview = editor.querySelector('.md-preview');
+    const VIEW_KEY = 'blog_cms_editor_view';
+    let renderTimer = null;
+
+    function refresh() {
+        clearTimeout(renderTimer);
+        if (!textarea.value.trim()) {
+            preview.innerHTML = '<p class="md-preview-empty">Nothing to preview yet.</p>';
+            return;
+        }
+        preview.innerHTML = renderPostPreview(textarea.value);
+        SyntaxHighlighter.highlightAll(preview);
+    }
+
+    function setView(view) {
+        editor.dataset.view = view;
+        editor.querySelectorAll('[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+            btn.setAttribute('aria-pressed', btn.dataset.view === view);
+        });
+        localStorage.setItem(VIEW_KEY, view);
+        if (view !== 'write') refresh();
+    }
+
+    editor.querySelector('.md-toolbar').addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('[data-md]');
+        if (actionBtn) {
+            MARKDOWN_ACTIONS[actionBtn.dataset.md](textarea);
+            return;
+        }
+        const viewBtn = e.target.closest('[data-view]');
+        if (viewBtn) setView(viewBtn.dataset.view);
+    });
+
+    textarea.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // e.code keeps Shift/Alt combinations layout-independent ("Digit8", "KeyB")
+        const key = e.code.replace(/^(Key|Digit)/, '').toLowerCase();
+        const combo = `${e.altKey ? 'alt+' : ''}${e.shiftKey ? 'shift+' : ''}${key}`;
+        const action = MARKDOWN_SHORTCUTS[combo];
+        if (action) {
+            e.preventDefault();
+            MARKDOWN_ACTIONS[action](textarea);
+        }
+    });
+
+    // Re-render shortly after typing stops
+    textarea.addEventListener('input', () => {
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(refresh, 150);
+    });
+
+    // Keep the preview roughly level with the part of the text being edited
+    textarea.addEventListener('scroll', () => {
+        const scrollable = textarea.scrollHeight - textarea.clientHeight;
+        if (scrollable <= 0) return;
+        preview.scrollTop = (textarea.scrollTop / scrollable) * (preview.scrollHeight - preview.clientHeight);
+    });
+
+    // A required but hidden textarea can't show its validation bubble
+    textarea.addEventListener('invalid', () => {
+        if (editor.dataset.view === 'preview') setView('split');
+    });
+
+    const inlineUploads = setupInlineImageUploads(editor, textarea);
+    setView(localStorage.getItem(VIEW_KEY) || 'split');
+
+    return { textarea, refresh, hasPendingUploads: inlineUploads.hasPendingUploads };
+}
+
+// ===== DRAFT AUTOSAVE =====
+
+const DRAFT_KEY_PREFIX = 'blog_cms_draft_';
+const DRAFT_FIELDS = ['title', 'category', 'tags', 'publishAt', 'content'];
+const DRAFT_FIELD_LABELS = { title: 'Title', category: 'Category', tags: 'Tags', publishAt: 'Publish at', content: 'Content' };
+
+function readDraftValues() {
+    const values = {};
+    DRAFT_FIELDS.forEach(field => {
+        values[field] = document.getElementById(field).value;
+    });
+    return values;
+}
+
+function draftValuesEqual(a, b) {
+    return DRAFT_FIELDS.every(field => (a[field] || '') === (b[field] || ''));
+}
+
+/**
+ * Word diff of every form field that differs between two sets of values
+ * @returns {string} HTML, or '' when nothing differs
+ */
+function renderValuesDiff(before, after) {
+    return DRAFT_FIELDS
+        .filter(field => (after[field] || '') !== (before[field] || ''))
+        .map(field => `
+            <div class="draft-diff-field">
+                <div class="draft-diff-label">${DRAFT_FIELD_LABELS[field]}</div>
+                <div class="draft-diff-text">${renderWordDiff(diffWords(before[field], after[field]))}</div>
+            </div>
+        `).join('');
+}
+
+/**
+ * Write a set of values into the post form and let autosave pick them up
+ */
+function writeDraftValues(values) {
+    DRAFT_FIELDS.forEach(field => {
+        document.getElementById(field).value = values[field] || '';
+    });
+}
+
+/**
+ * Autosave the post form to localStorage and offer to restore it after a crash,
+ * closed tab or forced logout
+ * @param {object} options
+ * @param {string} options.draftId - post id, or "new" for the add-post page
+ * @param {HTMLFormElement} options.form
+ * @param {Function} [options.onRestore] - called after restored values are written to the form
+ * @returns {{ setBaseline: Function, clear: Function }}
+ */
+function setupDraftAutosave({ draftId, form, onRestore }) {
+    const storageKey = DRAFT_KEY_PREFIX + draftId;
+    const notice = document.getElementById('draftNotice');
+    const status = document.getElementById('draftStatus');
+    const AUTOSAVE_DELAY = 1000;
+    const AUTOSAVE_INTERVAL = 15 * 1000;
+
+    // Last version known to be on the server (or the empty form for new posts)
+    let baseline = readDraftValues();
+    let ready = false;
+    let saveTimer = null;
+    let restorePending = false;
+    let leavingForLogout = false;
+
+    function readStoredDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(storageKey));
+            return draft && draft.values ? draft : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function isDirty() {
+        return ready && !draftValuesEqual(readDraftValues(), baseline);
+    }
+
+    function saveDraft() {
+        clearTimeout(saveTimer);
+        // Nothing to compare against before setBaseline(), and don't overwrite
+        // a draft the user hasn't decided about yet
+        if (!ready || restorePending) return;
+
+        const values = readDraftValues();
+        if (draftValuesEqual(values, baseline)) {
+            localStorage.removeItem(storageKey);
+            status.textContent = '';
+            return;
+        }
+
+        try {
+            localStorage.setItem(storageKey, JSON.stringify({ values, savedAt: new Date().toISOString() }));
+            status.textContent = `Draft saved locally at ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('💾 Draft autosave failed:', error);
+            status.textContent = 'Could not save a local draft (storage full?)';
+        }
+    }
+
+    function hideNotice() {
+        restorePending = false;
+        notice.style.display = 'none';
+        notice.innerHTML = '';
+    }
+
+    function showRestorePrompt(draft) {
+        restorePending = true;
+
+        const changes = renderValuesDiff(baseline, draft.values);
+
+        const against = draftId === 'new' ? 'an empty form' : 'the saved version';
+        notice.innerHTML = `
+            <div class="draft-notice-body">
+                <div>
+                    <strong>Restore unsaved changes?</strong>
+                    <p>A local draft from ${Sanitizer.escapeHtml(new Date(draft.savedAt).toLocaleString())} differs from ${against}.</p>
+                </div>
+                <div class="draft-notice-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-draft="diff">Show changes</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-draft="discard">Discard</button>
+                    <button type="button" class="btn btn-primary btn-sm" data-draft="restore">Restore</button>
+                </div>
+            </div>
+            <div class="draft-diff" style="display: none;">${changes}</div>
+        `;
+        notice.style.display = 'block';
+
+        notice.onclick = (e) => {
+            const action = e.target.closest('[data-draft]');
+            if (!action) return;
+
+            if (action.dataset.draft === 'diff') {
+                const diff = notice.querySelector('.draft-diff');
+                const showing = diff.style.display !== 'none';
+                diff.style.display = showing ? 'none' : 'block';
+                action.textContent = showing ? 'Show changes' : 'Hide changes';
+            } else if (action.dataset.draft === 'restore') {
+                writeDraftValues(draft.values);
+                hideNotice();
+                if (onRestore) onRestore();
+                status.textContent = 'Unsaved changes restored';
+                console.log('💾 Local draft restored');
+            } else {
+                hideNotice();
+                localStorage.removeItem(storageKey);
+                saveDraft();
+                console.log('🗑️ Local draft discarded');
+            }
+        };
+    }
+
+    /**
+     * Set the server version the draft is compared against, then offer any stored draft
+     */
+    function setBaseline(values = readDraftValues()) {
+        baseline = { ...values };
+        ready = true;
+        const draft = readStoredDraft();
+        if (draft && !draftValuesEqual(draft.values, baseline)) {
+            showRestorePrompt(draft);
+        } else {
+            localStorage.removeItem(storageKey);
+        }
+    }
+
+    /**
+     * Forget the stored draft once the server has confirmed the save
+     */
+    function clear() {
+        clearTimeout(saveTimer);
+        hideNotice();
+        localStorage.removeItem(storageKey);
+        baseline = readDraftValues();
+        status.textContent = '';
+    }
+
+    form.addEventListener('input', () => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(saveDraft, AUTOSAVE_DELAY);
+    });
+
+    setInterval(() => {
+        if (isDirty()) saveDraft();
+    }, AUTOSAVE_INTERVAL);
+
+    // Auto-logout redirects away mid-edit; the draft is kept, so skip the leave warning
+    window.addEventListener('admin:logout', () => {
+        saveDraft();
+        leavingForLogout = true;
+    });
+
+    window.addEventListener('pagehide', saveDraft);
+
+    window.addEventListener('beforeunload', (e) => {
+        if (leavingForLogout || !isDirty()) return;
+        saveDraft();
+        e.preventDefault();
+        e.returnValue = '';
+    });
+
+    return { setBaseline, clear };
+}
+
+// ===== REVISION HISTORY =====
+
+const REVISIONS_KEY_PREFIX = 'blog_cms_revisions_';
+const MAX_LOCAL_REVISIONS = 20;
+
+/**
+ * Convert a post from the API into the form-value shape used by drafts
+ */
+function postToDraftValues(post) {
+    return {
+        title: post.title || '',
+        category: post.category || '',
+        tags: parseTags(post.tags).join(', '),
+        publishAt: toDateTimeLocal(post.publishAt),
+        content: post.content || ''
+    };
+}
+
+/**
+ * Name of whoever last saved a post (backends populate updatedBy, lastEditedBy or only author)
+ */
+function getPostEditorName(post) {
+    const editor = post.updatedBy || post.lastEditedBy || post.author;
+    if (!editor) return null;
+    return typeof editor === 'string' ? editor : (editor.name || editor.email || null);
+}
+
+/**
+ * Convert a revision from the API into a revisions panel entry
+ */
+function normalizeRevision(revision) {
+    const author = revision.author || revision.user || {};
+    return {
+        id: String(revision._id || revision.id || revision.createdAt),
+        savedAt: revision.createdAt || revision.savedAt,
+        author: typeof author === 'string' ? author : (author.name || author.email || 'Unknown'),
+        local: false,
+        values: postToDraftValues(revision.snapshot || revision.post || revision)
+    };
+}
+
+/**
+ * Revisions panel for the edit page: keeps a snapshot of the saved post before
+ * each update, lists them, diffs any two and restores one into the form
+ * Snapshots go to the revisions endpoint; if that fails they are kept in localStorage
+ * @param {object} options
+ * @param {string} options.postId
+ * @param {Function} [options.onRestore] - called after a revision is written to the form
+ * @returns {{ load: Function, snapshot: Function }}
+ */
+function setupRevisionHistory({ postId, onRestore }) {
+    const storageKey = REVISIONS_KEY_PREFIX + postId;
+    const panel = document.getElementById('revisionsPanel');
+    const list = document.getElementById('revisionsList');
+    const count = document.getElementById('revisionsCount');
+    const fromSelect = document.getElementById('revisionFrom');
+    const toSelect = document.getElementById('revisionTo');
+    const diffOutput = document.getElementById('revisionDiff');
+
+    // Version currently on the server; snapshotted before it is overwritten
+    let savedValues = null;
+    let savedPost = null;
+    let revisions = [];
+
+    function readLocalRevisions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function storeLocalRevision(revision) {
+        const stored = [revision, ...readLocalRevisions()].slice(0, MAX_LOCAL_REVISIONS);
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(stored));
+        } catch (error) {
+            console.error('🕘 Could not keep a local revision:', error);
+        }
+    }
+
+    async function fetchRevisions() {
+        let remote = [];
+        try {
+            const data = await apiRequest(API_CONFIG.ENDPOINTS.POST_REVISIONS(postId));
+            const items = data && (data.revisions || data.data || data);
+            remote = Array.isArray(items) ? items.map(normalizeRevision) : [];
+        } catch (error) {
+            console.warn('⚠️ Revisions endpoint unavailable, showing local history only:', error.message);
+        }
+
+        return [...remote, ...readLocalRevisions()]
+            .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+    }
+
+    // "current" is the form as it is now; everything else is a stored revision
+    function getValues(key) {
+        if (key === 'current') return readDraftValues();
+        if (key === 'saved') return savedValues;
+        const revision = revisions.find(item => item.id === key);
+        return revision ? revision.values : null;
+    }
+
+    function describe(revision) {
+        return `${new Date(revision.savedAt).toLocaleString()} · ${revision.author}`;
+    }
+
+    function renderDiff() {
+        const before = getValues(fromSelect.value);
+        const after = getValues(toSelect.value);
+        if (!before || !after) {
+            diffOutput.innerHTML = '';
+            return;
+        }
+        diffOutput.innerHTML = renderValuesDiff(before, after) ||
+            '<div class="draft-diff-field">These versions are identical.</div>';
+    }
+
+    function render() {
+        const escape = Sanitizer.escapeHtml;
+        count.textContent = revisions.length ? `(${revisions.length})` : '';
+
+        list.innerHTML = revisions.length
+            ? revisions.map(revision => `
+                <li class="revision-item">
+                    <div class="revision-meta">
+                        <span class="revision-date">${escape(new Date(revision.savedAt).toLocaleString())}</span>
+                        <span class="revision-author">${escape(revision.author)}</span>
+                        ${revision.local ? '<span class="revision-local" title="The revisions endpoint was unavailable, so this copy only exists in this browser">This browser</span>' : ''}
+                    </div>
+                    <div class="revision-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-revision-compare="${escape(revision.id)}">Compare</button>
+                        <button type="button" class="btn btn-primary btn-sm" data-revision-restore="${escape(revision.id)}">Restore</button>
+                    </div>
+                </li>
+            `).join('')
+            : '<li class="revision-empty">No earlier versions yet. One is kept each time you update the post.</li>';
+
+        const options = [
+            '<option value="current">Current form</option>',
+            '<option value="saved">Last saved version</option>',
+            ...revisions.map(revision => `<option value="${escape(revision.id)}">${escape(describe(revision))}</option>`)
+        ].join('');
+        const from = fromSelect.value;
+        const to = toSelect.value;
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = getValues(from) ? from : (revisions.length ? revisions[0].id : 'saved');
+        toSelect.value = getValues(to) ? to : 'current';
+        renderDiff();
+    }
+
+    function restore(id) {
+        const revision = revisions.find(item => item.id === id);
+        if (!revision) return;
+
+        const content = document.getElementById('content');
+        if (content.disabled) {
+            showError('formErrorMessage', 'This form is read-only, so revisions cannot be restored here.');
+            return;
+        }
+
+        writeDraftValues(revision.values);
+        if (onRestore) onRestore();
+        // Let draft autosave keep the restored text until the post is updated
+        content.dispatchEvent(new Event('input', { bubbles: true }));
+        content.focus();
+        showSuccess('successMessage', `Restored the version from ${new Date(revision.savedAt).toLocaleString()}. Click "Update Post" to keep it.`);
+        renderDiff();
+        console.log('🕘 Revision restored into the form:', id);
+    }
+
+    /**
+     * Show the panel for a loaded post
+     * @param {object} post - the saved version from the API
+     * @param {object} [values] - the same version as form values
+     */
+    async function load(post, values = postToDraftValues(post)) {
+        savedPost = post;
+        savedValues = { ...values };
+        panel.style.display = 'block';
+        revisions = await fetchRevisions();
+        render();
+    }
+
+    /**
+     * Keep a copy of the saved version once an update has replaced it
+     * Never throws: a failed upload falls back to localStorage
+     */
+    async function snapshot() {
+        if (!savedValues) return;
+        const latest = revisions[0];
+        if (latest && draftValuesEqual(latest.values, savedValues)) return;
+
+        // The revision is the version being replaced: credit whoever saved it, when they saved it
+        const revision = {
+            id: `local-${Date.now()}`,
+            savedAt: savedPost.updatedAt || savedPost.createdAt || new Date().toISOString(),
+            author: getPostEditorName(savedPost) || 'Unknown',
+            local: true,
+            values: { ...savedValues }
+        };
+
+        let stored = revision;
+        try {
+            const result = await apiRequest(API_CONFIG.ENDPOINTS.POST_REVISIONS(postId), {
+                method: 'POST',
+                body: JSON.stringify({
+                    title: savedValues.title,
+                    category: savedValues.category,
+                    tags: parseTags(savedValues.tags),
+                    publishAt: fromDateTimeLocal(savedValues.publishAt),
+                    content: savedValues.content,
+                    savedAt: revision.savedAt,
+                    author: revision.author
+                })
+            });
+            if (!result) return; // 401: redirecting to login
+
+            const returned = result.revision || result.data;
+            stored = returned && (returned._id || returned.id)
+                ? { ...normalizeRevision(returned), values: revision.values }
+                : { ...revision, local: false };
+            console.log('🕘 Revision stored');
+        } catch (error) {
+            console.warn('⚠️ Revision upload failed, keeping it locally:', error.message);
+            storeLocalRevision(revision);
+        }
+
+        revisions = [stored, ...revisions];
+        render();
+    }
+
+    fromSelect.addEventListener('change', renderDiff);
+    toSelect.addEventListener('change', renderDiff);
+
+    list.addEventListener('click', (e) => {
+        const compare = e.target.closest('[data-revision-compare]');
+        const restoreBtn = e.target.closest('[data-revision-restore]');
+
+        if (compare) {
+            fromSelect.value = compare.dataset.revisionCompare;
+            toSelect.value = 'current';
+            renderDiff();
+            diffOutput.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } else if (restoreBtn) {
+            restore(restoreBtn.dataset.revisionRestore);
+        }
+    });
+
+    return { load, snapshot };
+}
+
+// ===== EDIT CONFLICTS =====
+
+const MERGE_FIELDS = ['title', 'category', 'content'];
+
+/**
+ * Pair up equal lines of a and b (LCS)
+ * @returns {Int32Array} for each line of a, the index of its match in b or -1
+ */
+function matchLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const matches = new Int32Array(n).fill(-1);
+    if (n * m > 4000000) return matches; // too large: treat as fully rewritten
+
+    const table = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * (m + 1) + j] = a[i] === b[j]
+                ? table[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            matches[i++] = j++;
+        } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Line-based three-way merge: keeps both sides' edits where they touch different
+ * lines and wraps overlapping edits in conflict markers
+ * @returns {{ text: string, conflicts: number }}
+ */
+function mergeLines(base, mine, theirs) {
+    const o = String(base || '').split('\n');
+    const a = String(mine || '').split('\n');
+    const b = String(theirs || '').split('\n');
+    const toMine = matchLines(o, a);
+    const toTheirs = matchLines(o, b);
+    const output = [];
+    let conflicts = 0;
+    let i = 0;
+    let ai = 0;
+    let bi = 0;
+
+    const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+
+    while (i <= o.length) {
+        // Next base line kept by both sides (or the end of the text)
+        let k = i;
+        while (k < o.length && (toMine[k] === -1 || toTheirs[k] === -1)) k++;
+        const aEnd = k < o.length ? toMine[k] : a.length;
+        const bEnd = k < o.length ? toTheirs[k] : b.length;
+
+        const baseChunk = o.slice(i, k);
+        const mineChunk = a.slice(ai, aEnd);
+        const theirsChunk = b.slice(bi, bEnd);
+
+        if (same(mineChunk, baseChunk) || same(mineChunk, theirsChunk)) {
+            output.push(...theirsChunk);
+        } else if (same(theirsChunk, baseChunk)) {
+            output.push(...mineChunk);
+        } else {
+            conflicts++;
+            output.push('<<<<<<< Your version', ...mineChunk, '=======', ...theirsChunk, '>>>>>>> Their version');
+        }
+
+        if (k === o.length) break;
+        output.push(o[k]);
+        i = k + 1;
+        ai = aEnd + 1;
+        bi = bEnd + 1;
+    }
+
+    return { text: output.join('\n'), conflicts };
+}
+
+/**
+ * Optimistic concurrency for the edit page
+ * Remembers which version of the post was loaded, sends it as If-Match and, when
+ * someone else saved in between, shows a three-way merge instead of overwriting
+ * @param {object} options
+ * @param {string} options.postId
+ * @param {Function} [options.onResolve] - called with the latest post after the merge is applied
+ * @returns {{ track: Function, getHeaders: Function, check: Function, handleConflict: Function }}
+ */
+function setupEditConflicts({ postId, onResolve }) {
+    const notice = document.getElementById('conflictNotice');
+    let base = null;
+    let version = { etag: null, updatedAt: null };
+
+    /**
+     * Record the version the form is based on
+     */
+    function track(post, etag = null) {
+        base = postToDraftValues(post);
+        version = { etag, updatedAt: post.updatedAt || null };
+    }
+
+    /**
+     * If-Match header for the PUT (a quoted updatedAt when the API sends no ETag)
+     */
+    function getHeaders() {
+        const token = version.etag || (version.updatedAt ? `"${version.updatedAt}"` : null);
+        return token ? { 'If-Match': token } : {};
+    }
+
+    async function fetchLatest() {
+        let etag = null;
+        const data = await apiRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(postId), {
+            onResponse: (response) => {
+                etag = response.headers.get('ETag');
+            }
+        });
+        return data ? { post: data.post || data, etag } : null;
+    }
+
+    function isNewer(latest) {
+        if (version.etag && latest.etag) return version.etag !== latest.etag;
+        const theirs = latest.post.updatedAt;
+        return !!(version.updatedAt && theirs && new Date(theirs) > new Date(version.updatedAt));
+    }
+
+    function hide() {
+        notice.style.display = 'none';
+        notice.innerHTML = '';
+    }
+
+    function renderField(field, mine, theirs, merged) {
+        const escape = Sanitizer.escapeHtml;
+        const bothChanged = mine[field] !== base[field] && mine[field] !== theirs[field];
+        const options = [
+            { value: 'theirs', label: 'Use theirs' },
+            { value: 'mine', label: 'Keep yours' }
+        ];
+        if (merged) {
+            options.unshift({
+                value: 'merged',
+                label: merged.conflicts
+                    ? `Combine both (${merged.conflicts} overlapping ${merged.conflicts === 1 ? 'edit' : 'edits'} marked)`
+                    : 'Combine both'
+            });
+        }
+        const selected = bothChanged ? options[0].value : 'theirs';
+
+        return `
+            <fieldset class="conflict-field">
+                <legend>${DRAFT_FIELD_LABELS[field]}${bothChanged ? ' <span class="conflict-badge">Both changed</span>' : ''}</legend>
+                <div class="conflict-columns">
+                    <div>
+                        <div class="draft-diff-label">Their changes</div>
+                        <div class="draft-diff draft-diff-text">${renderWordDiff(diffWords(base[field], theirs[field]))}</div>
+                    </div>
+                    <div>
+                        <div class="draft-diff-label">Your changes</div>
+                        <div class="draft-diff draft-diff-text">${mine[field] === base[field] ? '<em>No changes</em>' : renderWordDiff(diffWords(base[field], mine[field]))}</div>
+                    </div>
+                </div>
+                <div class="conflict-choices">
+                    ${options.map(option => `
+                        <label>
+                            <input type="radio" name="merge-${field}" value="${escape(option.value)}" ${option.value === selected ? 'checked' : ''}>
+                            ${escape(option.label)}
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Show the merge view for a newer server version
+     */
+    function show(latest) {
+        const mine = readDraftValues();
+        const theirs = postToDraftValues(latest.post);
+        const merges = {};
+        const fields = MERGE_FIELDS.filter(field => theirs[field] !== base[field]);
+
+        if (fields.includes('content') && mine.content !== base.content && mine.content !== theirs.content) {
+            merges.content = mergeLines(base.content, mine.content, theirs.content);
+        }
+
+        const editor = latest.post.updatedBy || latest.post.lastEditedBy || {};
+        const who = typeof editor === 'string' ? editor : (editor.name || editor.email || 'Someone else');
+        const when = latest.post.updatedAt ? ` at ${new Date(latest.post.updatedAt).toLocaleString()}` : '';
+
+        notice.innerHTML = `
+            <div class="draft-notice-body">
+                <div>
+                    <strong>This post changed while you were editing</strong>
+                    <p>${Sanitizer.escapeHtml(who)} saved it${Sanitizer.escapeHtml(when)}. Choose what to keep, then update the post again.</p>
+                </div>
+            </div>
+            ${fields.map(field => renderField(field, mine, theirs, merges[field])).join('') ||
+                '<p>Only fields you are not editing were changed; your text is kept as it is.</p>'}
+            <div class="draft-notice-actions conflict-actions">
+                <button type="button" class="btn btn-secondary btn-sm" data-conflict="cancel">Not now</button>
+                <button type="button" class="btn btn-primary btn-sm" data-conflict="apply">Apply choices</button>
+            </div>
+        `;
+        notice.style.display = 'block';
+        notice.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        notice.onclick = (e) => {
+            const action = e.target.closest('[data-conflict]');
+            if (!action) return;
+
+            if (action.dataset.conflict === 'apply') {
+                let hasMarkers = false;
+                fields.forEach(field => {
+                    const choice = notice.querySelector(`input[name="merge-${field}"]:checked`).value;
+                    if (choice === 'merged' && merges[field].conflicts) hasMarkers = true;
+                    const value = choice === 'merged' ? merges[field].text : (choice === 'mine' ? mine : theirs)[field];
+                    document.getElementById(field).value = value;
+                });
+                // The form is now based on their version, so the next save goes through
+                track(latest.post, latest.etag);
+                hide();
+                if (onResolve) onResolve(latest.post);
+                document.getElementById('content').dispatchEvent(new Event('input', { bubbles: true }));
+                showSuccess('successMessage', hasMarkers
+                    ? 'Changes merged. Resolve the marked sections in the content, then click "Update Post".'
+                    : 'Changes merged. Review the form, then click "Update Post".');
+            } else {
+                hide();
+            }
+        };
+    }
+
+    /**
+     * Look for a newer version before saving
+     * @returns {Promise<boolean>} true when the merge view was shown instead
+     */
+    async function check() {
+        let latest;
+        try {
+            latest = await fetchLatest();
+        } catch (error) {
+            // Can't tell; let the server's If-Match check decide
+            return false;
+        }
+        if (!latest || !isNewer(latest)) return false;
+
+        console.warn('⚠️ Post was updated by someone else since it was loaded');
+        show(latest);
+        return true;
+    }
+
+    /**
+     * Handle a 409/412 from the PUT
+     * @returns {Promise<boolean>} true when the error was a conflict
+     */
+    async function handleConflict(error) {
+        if (error.status !== 409 && error.status !== 412) return false;
+        const latest = await fetchLatest();
+        if (latest) show(latest);
+        return true;
+    }
+
+    return { track, getHeaders, check, handleConflict };
+}
+
+/**
+ * Tell the API this post is open for editing and show who else has it open
+ * Stays silent when the presence endpoint isn't available
+ */
+function setupEditPresence(postId) {
+    const notice = document.getElementById('presenceNotice');
+    const HEARTBEAT_INTERVAL = 30 * 1000;
+    const me = getUserId(Auth.getCurrentUser());
+    let heartbeat = null;
+
+    async function ping() {
+        try {
+            const data = await apiRequest(API_CONFIG.ENDPOINTS.POST_PRESENCE(postId), { method: 'POST' });
+            const editors = ((data && (data.editors || data.data)) || [])
+                .filter(editor => getUserId(editor) !== me);
+
+            if (editors.length) {
+                const names = editors.map(editor => editor.name || editor.email || 'Someone').join(', ');
+                notice.textContent = `${names} ${editors.length === 1 ? 'is' : 'are'} also editing this post. Saving may overwrite their changes.`;
+                notice.style.display = 'block';
+            } else {
+                notice.style.display = 'none';
+            }
+        } catch (error) {
+            clearInterval(heartbeat);
+            console.warn('⚠️ Edit presence unavailable:', error.message);
+        }
+    }
+
+    ping();
+    heartbeat = setInterval(ping, HEARTBEAT_INTERVAL);
+
+    window.addEventListener('pagehide', () => {
+        clearInterval(heartbeat);
+        const token = Auth.getToken();
+        if (!token) return;
+        fetch(getApiUrl(API_CONFIG.ENDPOINTS.POST_PRESENCE(postId)), {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${token}` },
+            keepalive: true
+        }).catch(() => {});
+    });
+}
+
+// ===== IMAGE PROCESSING =====
+
+const HERO_ASPECT_RATIOS = { '16:9': 16 / 9, '3:2': 3 / 2, '4:3': 4 / 3, '1:1': 1, original: null };
+const IMAGE_OPTIONS_KEY = 'blog_cms_image_options';
+
+function readImageOptions() {
+    try {
+        return { ratio: '16:9', ...ImageProcessor.DEFAULTS, ...JSON.parse(localStorage.getItem(IMAGE_OPTIONS_KEY)) };
+    } catch (error) {
+        return { ratio: '16:9', ...ImageProcessor.DEFAULTS };
+    }
+}
+
+/**
+ * "8.4 MB · 4032×3024 → 312 KB · 1920×1080 WebP (−96%)"
+ */
+function describeProcessedImage(result) {
+    const before = `${formatBytes(result.originalSize)} · ${result.originalWidth}×${result.originalHeight}`;
+    if (result.reason === 'animated') {
+        return `${before}. GIFs are uploaded unchanged to keep their animation.`;
+    }
+    if (result.reason === 'original-smaller') {
+        return `${before}. Already optimized, so the original is uploaded unchanged.`;
+    }
+    const format = result.file.type === 'image/webp' ? 'WebP' : 'JPEG';
+    const change = Math.round((1 - result.file.size / result.originalSize) * 100);
+    const saving = change >= 0 ? `−${change}%` : `+${-change}%`;
+    const note = result.reason === 'larger-without-metadata'
+        ? '. Slightly larger than the original, but re-encoded to remove photo metadata (EXIF)'
+        : '';
+    return `Original ${before} → upload ${formatBytes(result.file.size)} · ${result.width}×${result.height} ${format} (${saving})${note}`;
+}
+
+/**
+ * Featured image field: rejects non-images, offers an aspect-ratio crop and
+ * compression settings, and shows the size before and after processing
+ * @returns {{ getFile: Function, reset: Function }}
+ */
+function setupHeroImageField() {
+    const fileInput = document.getElementById('image');
+    const preview = document.getElementById('imagePreview');
+    const PROCESS_DELAY = 250;
+    const MIN_CROP = 0.05;
+
+    let options = readImageOptions();
+    let source = null; // { file, url, aspect, animated }
+    let crop = null; // fractions of the oriented image
+    let version = 0;
+    let pending = null; // { version, promise }
+    let processTimer = null;
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    function reset() {
+        clearTimeout(processTimer);
+        if (source) URL.revokeObjectURL(source.url);
+        source = null;
+        pending = null;
+        preview.innerHTML = '';
+    }
+
+    function saveOptions() {
+        localStorage.setItem(IMAGE_OPTIONS_KEY, JSON.stringify(options));
+    }
+
+    function resetCrop() {
+        const ratio = HERO_ASPECT_RATIOS[options.ratio];
+        const c = ImageProcessor.centeredCrop(source.aspect, 1, ratio);
+        crop = { x: c.x / source.aspect, y: c.y, width: c.width / source.aspect, height: c.height };
+        positionCropBox();
+    }
+
+    function positionCropBox() {
+        const box = preview.querySelector('.crop-box');
+        if (!box) return;
+        const full = !HERO_ASPECT_RATIOS[options.ratio] || source.animated;
+        box.style.display = full ? 'none' : 'block';
+        box.style.left = `${crop.x * 100}%`;
+        box.style.top = `${crop.y * 100}%`;
+        box.style.width = `${crop.width * 100}%`;
+        box.style.height = `${crop.height * 100}%`;
+    }
+
+    function currentSettings() {
+        const full = !HERO_ASPECT_RATIOS[options.ratio];
+        return {
+            maxWidth: Number(options.maxWidth) || ImageProcessor.DEFAULTS.maxWidth,
+            maxHeight: Number(options.maxHeight) || ImageProcessor.DEFAULTS.maxHeight,
+            type: options.type,
+            quality: Number(options.quality) || ImageProcessor.DEFAULTS.quality,
+            crop: full ? null : { ...crop }
+        };
+    }
+
+    function runProcess() {
+        clearTimeout(processTimer);
+        const report = preview.querySelector('.image-size-report');
+        const runVersion = version;
+        const promise = ImageProcessor.process(source.file, currentSettings());
+        pending = { version: runVersion, promise };
+
+        report.textContent = 'Processing...';
+        promise.then(result => {
+            if (pending && pending.version === runVersion) report.textContent = describeProcessedImage(result);
+        }).catch(error => {
+            if (pending && pending.version === runVersion) report.textContent = error.message;
+        });
+        return promise;
+    }
+
+    function scheduleProcess() {
+        version++;
+        clearTimeout(processTimer);
+        processTimer = setTimeout(runProcess, PROCESS_DELAY);
+    }
+
+    function renderEditor() {
+        const escape = Sanitizer.escapeHtml;
+        const ratioOptions = Object.keys(HERO_ASPECT_RATIOS).map(key =>
+            `<option value="${key}" ${key === options.ratio ? 'selected' : ''}>${key === 'original' ? 'No crop' : key}</option>`
+        ).join('');
+        const webp = ImageProcessor.supportsWebp();
+        if (!webp) options.type = 'image/jpeg';
+
+        preview.innerHTML = `
+            <div class="image-editor">
+                <div class="image-editor-toolbar">
+                    <label>Crop
+                        <select data-image-option="ratio" ${source.animated ? 'disabled' : ''}>${ratioOptions}</select>
+                    </label>
+                    <label>Format
+                        <select data-image-option="type" ${source.animated ? 'disabled' : ''}>
+                            <option value="image/webp" ${options.type === 'image/webp' ? 'selected' : ''} ${webp ? '' : 'disabled'}>WebP</option>
+                            <option value="image/jpeg" ${options.type === 'image/jpeg' ? 'selected' : ''}>JPEG</option>
+                        </select>
+                    </label>
+                    <label>Quality
+                        <input type="range" min="0.4" max="0.95" step="0.01" value="${escape(String(options.quality))}" data-image-option="quality" ${source.animated ? 'disabled' : ''}>
+                        <output>${Math.round(options.quality * 100)}</output>
+                    </label>
+                    <label>Max
+                        <input type="number" min="320" max="8000" step="10" value="${escape(String(options.maxWidth))}" data-image-option="maxWidth" aria-label="Maximum width" ${source.animated ? 'disabled' : ''}>
+                        ×
+                        <input type="number" min="320" max="8000" step="10" value="${escape(String(options.maxHeight))}" data-image-option="maxHeight" aria-label="Maximum height" ${source.animated ? 'disabled' : ''}>
+                    </label>
+                </div>
+                <div class="crop-stage">
+                    <img alt="Selected image" draggable="false">
+                    <div class="crop-box" tabindex="0" role="slider" aria-label="Crop area. Arrow keys move it, Shift+arrows resize it">
+                        <span class="crop-handle"></span>
+                    </div>
+                </div>
+                <p class="image-size-report" aria-live="polite"></p>
+            </div>
+        `;
+        // Object URLs are created here, so they don't go through Sanitizer.safeUrl
+        preview.querySelector('.crop-stage img').src = source.url;
+        resetCrop();
+    }
+
+    // Crop box: drag to move, drag the corner handle to resize (keeping the ratio)
+    preview.addEventListener('pointerdown', (e) => {
+        const box = e.target.closest('.crop-box');
+        if (!box || !source) return;
+        e.preventDefault();
+
+        const stageRect = box.parentElement.getBoundingClientRect();
+        const resizing = !!e.target.closest('.crop-handle');
+        const start = { x: e.clientX, y: e.clientY, crop: { ...crop } };
+        const heightPerWidth = source.aspect / HERO_ASPECT_RATIOS[options.ratio];
+        box.setPointerCapture(e.pointerId);
+
+        function onMove(moveEvent) {
+            const dx = (moveEvent.clientX - start.x) / stageRect.width;
+            const dy = (moveEvent.clientY - start.y) / stageRect.height;
+            if (resizing) {
+                let width = clamp(start.crop.width + dx, MIN_CROP, 1 - start.crop.x);
+                let height = width * heightPerWidth;
+                if (start.crop.y + height > 1) {
+                    height = 1 - start.crop.y;
+                    width = height / heightPerWidth;
+                }
+                crop.width = width;
+                crop.height = height;
+            } else {
+                crop.x = clamp(start.crop.x + dx, 0, 1 - crop.width);
+                crop.y = clamp(start.crop.y + dy, 0, 1 - crop.height);
+            }
+            positionCropBox();
+        }
+
+        function onEnd() {
+            box.removeEventListener('pointermove', onMove);
+            box.removeEventListener('pointerup', onEnd);
+            box.removeEventListener('pointercancel', onEnd);
+            scheduleProcess();
         }
 
-        // Show loading state
-        loginBtn.disabled = true;
-        loginBtn.querySelector('.btn-text').style.display = 'none';
-        loginBtn.querySelector('.btn-loader').style.display = 'inline';
+        box.addEventListener('pointermove', onMove);
+        box.addEventListener('pointerup', onEnd);
+        box.addEventListener('pointercancel', onEnd);
+    });
+
+    preview.addEventListener('keydown', (e) => {
+        if (!e.target.closest('.crop-box') || !source) return;
+        const step = 0.01;
+        const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        if (!moves[e.key]) return;
+        e.preventDefault();
+
+        const [dx, dy] = moves[e.key];
+        if (e.shiftKey) {
+            const heightPerWidth = source.aspect / HERO_ASPECT_RATIOS[options.ratio];
+            const width = clamp(crop.width + (dx || -dy), MIN_CROP, Math.min(1 - crop.x, (1 - crop.y) / heightPerWidth));
+            crop.width = width;
+            crop.height = width * heightPerWidth;
+        } else {
+            crop.x = clamp(crop.x + dx, 0, 1 - crop.width);
+            crop.y = clamp(crop.y + dy, 0, 1 - crop.height);
+        }
+        positionCropBox();
+        scheduleProcess();
+    });
+
+    preview.addEventListener('input', (e) => {
+        const field = e.target.dataset.imageOption;
+        if (!field || !source) return;
 
+        options[field] = e.target.value;
+        if (field === 'quality') {
+            e.target.nextElementSibling.textContent = Math.round(e.target.value * 100);
+        }
+        if (field === 'ratio') resetCrop();
+        saveOptions();
+        scheduleProcess();
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        reset();
+        if (!file) return;
+
+        let detected;
         try {
-            const data = await apiRequest(API_CONFIG.ENDPOINTS.LOGIN, {
-                method: 'POST',
-                body: JSON.stringify({ email, password }),
-            });
+            detected = await ImageProcessor.validate(file);
+        } catch (error) {
+            fileInput.value = '';
+            preview.innerHTML = `<p class="image-error">${Sanitizer.escapeHtml(error.message)}</p>`;
+            return;
+        }
+        if (fileInput.files[0] !== file) return; // replaced while validating
+
+        let image;
+        try {
+            image = await ImageProcessor.loadImage(file);
+        } catch (error) {
+            fileInput.value = '';
+            preview.innerHTML = `<p class="image-error">${Sanitizer.escapeHtml(error.message)}</p>`;
+            return;
+        }
+        source = {
+            file,
+            url: URL.createObjectURL(file),
+            aspect: image.width / image.height,
+            animated: detected === 'image/gif'
+        };
+        image.close();
+
+        renderEditor();
+        version++;
+        runProcess();
+    });
+
+    /**
+     * The processed file to upload, or null when no new file is selected
+     * (e.g. a media library image was chosen instead)
+     */
+    async function getFile() {
+        if (!source || fileInput.files[0] !== source.file) return null;
+        if (!pending || pending.version !== version) runProcess();
+        return (await pending.promise).file;
+    }
+
+    return { getFile, reset };
+}
+
+// ===== MEDIA LIBRARY =====
+
+/**
+ * Normalize an uploaded asset; upload routes answer with url, imageUrl, path or just a filename
+ */
+function normalizeMediaAsset(asset) {
+    const source = asset.data || asset.image || asset.file || asset;
+    let path = typeof source === 'string'
+        ? source
+        : source.url || source.imageUrl || source.secure_url || source.path || source.filename || '';
+    if (path && !path.startsWith('http') && !path.startsWith('/')) {
+        path = `/uploads/${path}`;
+    }
+    const fileName = path.split('/').pop().split('?')[0];
+    let displayName = fileName;
+    try {
+        displayName = decodeURIComponent(fileName);
+    } catch (error) {
+        // A stray "%" (e.g. "100%.png") isn't an escape sequence: show the name as stored
+    }
+    return {
+        id: String(source._id || source.id || source.filename || fileName),
+        path,
+        url: path ? resolveImageUrl(path) : '',
+        name: source.originalName || source.originalname || source.name || displayName,
+        size: source.size || source.bytes || 0,
+        createdAt: source.createdAt || source.uploadedAt || null
+    };
+}
+
+async function fetchMediaAssets() {
+    const data = await apiRequest(API_CONFIG.ENDPOINTS.MEDIA);
+    const items = data && (data.media || data.images || data.data || data);
+    return Array.isArray(items) ? items.map(normalizeMediaAsset).filter(asset => asset.url) : [];
+}
+
+/**
+ * Resize/compress one image and upload it through UPLOAD_IMAGE
+ * @param {object} [options] - onProgress / signal, passed to uploadRequest()
+ * @returns {Promise<object|null>} the normalized asset (null on 401 redirect)
+ */
+async function uploadMediaFile(file, { onProgress, signal } = {}) {
+    const { file: upload } = await ImageProcessor.process(file);
+    const formData = new FormData();
+    formData.append('image', upload);
+    const data = await uploadRequest(API_CONFIG.ENDPOINTS.UPLOAD_IMAGE, {
+        method: 'POST',
+        body: formData,
+        onProgress,
+        signal
+    });
+    if (!data) return null;
+    const asset = normalizeMediaAsset(data);
+    if (!asset.url) throw new Error('The upload response did not include an image URL');
+    return { ...asset, name: asset.name || upload.name, size: asset.size || upload.size };
+}
+
+function filterMediaAssets(assets, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return assets;
+    return assets.filter(asset => `${asset.name} ${asset.path}`.toLowerCase().includes(needle));
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Markdown embed for an asset, with alt text taken from the file name
+ */
+function getMarkdownImageSnippet(asset) {
+    const alt = asset.name.replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').replace(/[[\]]/g, '').trim();
+    return `![${alt || 'image'}](${asset.url.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+}
+
+/**
+ * Render asset cards into a grid
+ * @param {Function} renderActions - returns the action buttons HTML for an asset
+ */
+function renderMediaGrid(container, assets, renderActions) {
+    const escape = Sanitizer.escapeHtml;
+    container.innerHTML = assets.map(asset => `
+        <figure class="media-card" data-media-id="${escape(asset.id)}">
+            <div class="media-thumb">
+                <img src="${escape(asset.url)}" alt="${escape(asset.name)}" loading="lazy">
+            </div>
+            <figcaption>
+                <span class="media-name" title="${escape(asset.name)}">${escape(asset.name)}</span>
+                <span class="media-meta">${escape([formatBytes(asset.size), asset.createdAt ? formatDate(asset.createdAt) : ''].filter(Boolean).join(' · '))}</span>
+            </figcaption>
+            <div class="media-actions">${renderActions(asset)}</div>
+        </figure>
+    `).join('');
+}
+
+/**
+ * Drop or paste images into the content textarea: each one is uploaded and a
+ * placeholder at the cursor is swapped for its Markdown embed when it finishes
+ * @returns {{ hasPendingUploads: Function }}
+ */
+function setupInlineImageUploads(editor, textarea) {
+    const status = document.createElement('div');
+    status.className = 'md-upload-status';
+    status.setAttribute('aria-live', 'polite');
+    editor.appendChild(status);
+    let uploadCount = 0;
+    let pendingUploads = 0;
+    let dragDepth = 0;
+
+    const hasFiles = (dataTransfer) => dataTransfer && Array.from(dataTransfer.types).includes('Files');
+    const imageFiles = (files) => Array.from(files || []).filter(file => file.type.startsWith('image/'));
+    const canUpload = () => !textarea.disabled && !textarea.readOnly && can('create');
+
+    /**
+     * Replace the placeholder for an upload without moving the author's cursor
+     * An empty text removes the placeholder together with the line it sits on
+     */
+    function replacePlaceholder(token, text) {
+        const pattern = new RegExp(`!\\[[^\\]\\n]*\\]\\(#${token}\\)`);
+        const value = textarea.value;
+        const match = value.match(pattern);
+        if (!match) return false; // the author deleted it
+
+        let start = match.index;
+        let end = start + match[0].length;
+        if (!text) {
+            if (value[end] === '\n') end++;
+            else if (start > 0 && value[start - 1] === '\n') start--;
+        }
+        const shift = (position) => position >= end ? position + text.length - (end - start) : Math.min(position, start + text.length);
+        const selectionStart = shift(textarea.selectionStart);
+        const selectionEnd = shift(textarea.selectionEnd);
+
+        textarea.setRangeText(text, start, end);
+        textarea.setSelectionRange(selectionStart, selectionEnd);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+    }
+
+    async function uploadFiles(files) {
+        if (!canUpload()) {
+            status.textContent = 'Your role does not allow uploading images.';
+            return;
+        }
 
-            // Store token (handle both data.token and token formats)
-            const token = data.token || data.data?.token;
-            if (token) {
-                setToken(token);
-                // Redirect to dashboard
-                window.location.href = 'dashboard.html';
+        const uploads = files.map(file => ({
+            file,
+            name: file.name.replace(/[[\]]/g, ''),
+            token: `upload-${Date.now()}-${++uploadCount}`,
+            percent: null
+        }));
+        const placeholders = uploads
+            .map(upload => `![Uploading ${upload.name}…](#${upload.token})`)
+            .join('\n');
+        // Images go on their own lines so they render as block images
+        const before = textarea.value.slice(0, textarea.selectionStart);
+        const lead = before && !before.endsWith('\n') ? '\n' : '';
+        replaceTextareaSelection(textarea, `${lead}${placeholders}\n`, lead.length + placeholders.length + 1, lead.length + placeholders.length + 1);
+
+        status.textContent = `Uploading ${files.length} ${files.length === 1 ? 'image' : 'images'}...`;
+        pendingUploads += uploads.length;
+        const results = await runWithConcurrency(uploads, 2, upload => uploadMediaFile(upload.file, {
+            onProgress: (loaded, total) => {
+                // Step in 10% increments so the preview isn't re-rendered on every progress event
+                const percent = total ? Math.floor((loaded / total) * 10) * 10 : 0;
+                if (percent === upload.percent) return;
+                upload.percent = percent;
+                replacePlaceholder(upload.token, `![Uploading ${upload.name}… ${percent}%](#${upload.token})`);
+            }
+        }), (result) => {
+            pendingUploads--;
+            const { token } = result.item;
+            if (result.ok && result.value) {
+                replacePlaceholder(token, getMarkdownImageSnippet(result.value));
             } else {
-                throw new Error('No token received from server');
+                replacePlaceholder(token, '');
             }
-        } catch (error) {
-            showError('errorMessage', error.message);
-            loginBtn.disabled = false;
-            loginBtn.querySelector('.btn-text').style.display = 'inline';
-            loginBtn.querySelector('.btn-loader').style.display = 'none';
+        });
+
+        const failed = results.filter(result => !result.ok);
+        status.textContent = failed.length
+            ? failed.map(result => `${result.item.file.name}: ${result.error.message}`).join(' · ')
+            : '';
+    }
+
+    textarea.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e.dataTransfer)) return;
+        dragDepth++;
+        editor.classList.add('is-dropping');
+    });
+
+    textarea.addEventListener('dragover', (e) => {
+        if (!hasFiles(e.dataTransfer)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = canUpload() ? 'copy' : 'none';
+    });
+
+    textarea.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (!dragDepth) editor.classList.remove('is-dropping');
+    });
+
+    textarea.addEventListener('drop', (e) => {
+        dragDepth = 0;
+        editor.classList.remove('is-dropping');
+        const files = imageFiles(e.dataTransfer && e.dataTransfer.files);
+        if (!hasFiles(e.dataTransfer)) return;
+        e.preventDefault();
+        if (!files.length) {
+            status.textContent = 'Only image files can be dropped into the content.';
+            return;
+        }
+        uploadFiles(files);
+    });
+
+    // Pasted screenshots and copied image files; text pastes are left alone
+    textarea.addEventListener('paste', (e) => {
+        const files = imageFiles(e.clipboardData && e.clipboardData.files);
+        if (!files.length) return;
+        e.preventDefault();
+        uploadFiles(files);
+    });
+
+    // Saving now would publish the "Uploading…" placeholders
+    return { hasPendingUploads: () => pendingUploads > 0 };
+}
+
+/**
+ * Modal for picking an existing image (or uploading one) instead of re-uploading
+ * @returns {Promise<object|null>} the chosen asset, or null when cancelled
+ */
+function openMediaPicker({ title = 'Choose an image' } = {}) {
+    return new Promise(resolve => {
+        const escape = Sanitizer.escapeHtml;
+        const modal = document.createElement('div');
+        modal.className = 'modal media-picker';
+        modal.innerHTML = `
+            <div class="modal-content media-picker-content" role="dialog" aria-modal="true" aria-label="${escape(title)}">
+                <h3>${escape(title)}</h3>
+                <div class="media-toolbar">
+                    <input type="search" class="media-search" placeholder="Search images..." aria-label="Search images">
+                    ${can('create') ? `
+                        <label class="btn btn-secondary btn-sm media-upload-btn">
+                            Upload new
+                            <input type="file" accept="image/*" hidden>
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="media-picker-status">Loading images...</div>
+                <div class="media-grid media-picker-grid"></div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-picker="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const grid = modal.querySelector('.media-picker-grid');
+        const status = modal.querySelector('.media-picker-status');
+        const search = modal.querySelector('.media-search');
+        let assets = [];
+
+        function render() {
+            const visible = filterMediaAssets(assets, search.value);
+            renderMediaGrid(grid, visible, () => '<button type="button" class="btn btn-primary btn-sm" data-picker="select">Select</button>');
+            if (!assets.length) {
+                status.textContent = 'No images uploaded yet.';
+            } else {
+                status.textContent = visible.length ? '' : 'No images match your search.';
+            }
+        }
+
+        function close(asset) {
+            document.removeEventListener('keydown', onKeydown);
+            modal.remove();
+            resolve(asset);
+        }
+
+        function onKeydown(e) {
+            if (e.key === 'Escape') close(null);
+        }
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-picker="cancel"]')) {
+                close(null);
+                return;
+            }
+            const card = e.target.closest('.media-card');
+            if (card && (e.target.closest('[data-picker="select"]') || e.target.closest('.media-thumb'))) {
+                close(assets.find(asset => asset.id === card.dataset.mediaId) || null);
+            }
+        });
+
+        const fileInput = modal.querySelector('input[type="file"]');
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                status.textContent = `Uploading ${file.name}...`;
+                try {
+                    const asset = await uploadMediaFile(file);
+                    if (asset) close(asset);
+                } catch (error) {
+                    status.textContent = error.message;
+                }
+            });
         }
+
+        search.addEventListener('input', render);
+        document.addEventListener('keydown', onKeydown);
+        search.focus();
+
+        fetchMediaAssets()
+            .then(items => {
+                assets = items;
+                render();
+            })
+            .catch(error => {
+                status.textContent = `Could not load the media library: ${error.message}`;
+            });
+    });
+}
+
+/**
+ * "Choose from library" for the featured image field
+ * The chosen path is sent as the image field instead of a new upload
+ * @returns {{ getPath: Function, clear: Function }}
+ */
+function setupLibraryImageField() {
+    const chooseBtn = document.getElementById('chooseImageBtn');
+    const pathInput = document.getElementById('imageLibraryPath');
+    const fileInput = document.getElementById('image');
+    const preview = document.getElementById('imagePreview');
+
+    function clear() {
+        pathInput.value = '';
+    }
+
+    chooseBtn.addEventListener('click', async () => {
+        const asset = await openMediaPicker({ title: 'Choose a featured image' });
+        if (!asset) return;
+
+        pathInput.value = asset.path;
+        fileInput.value = '';
+        preview.innerHTML = `<img src="${Sanitizer.escapeHtml(asset.url)}" alt="${Sanitizer.escapeHtml(asset.name)}"><p>From the media library</p>`;
+        pathInput.dispatchEvent(new Event('input', { bubbles: true }));
     });
+
+    // A freshly picked file wins over a library image
+    fileInput.addEventListener('change', clear);
+
+    return { getPath: () => pathInput.value, clear };
 }
 
 // ===== DASHBOARD PAGE =====
@@ -443,72 +2656,557 @@ if (window.location.pathname.includes('dashboard.html')) {
         const deleteModal = document.getElementById('deleteModal');
         const cancelDeleteBtn = document.getElementById('cancelDeleteBtn');
         const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
+        const postsToolbar = document.getElementById('postsToolbar');
+        const postSearch = document.getElementById('postSearch');
+        const statusFilter = document.getElementById('statusFilter');
+        const categoryFilter = document.getElementById('categoryFilter');
+        const pageSizeSelect = document.getElementById('pageSize');
+        const prevPageBtn = document.getElementById('prevPageBtn');
+        const nextPageBtn = document.getElementById('nextPageBtn');
 
         let postToDelete = null;
+        let allPosts = [];
+        const selectedIds = new Set();
+        const pendingDeleteIds = new Set(); // hidden while a bulk delete can still be undone
+
+        // Table state lives in the query string (?q=&status=&category=&sort=&dir=&page=&size=)
+        const TABLE_DEFAULTS = { q: '', status: '', category: '', sort: 'date', dir: 'desc', page: 1, size: 10 };
+        const SORT_FIELDS = ['title', 'category', 'status', 'date'];
+        const PAGE_SIZES = [10, 25, 50, 100];
+        const tableState = readTableState();
+
+        function readTableState() {
+            const params = new URLSearchParams(window.location.search);
+            const state = { ...TABLE_DEFAULTS };
+            ['q', 'status', 'category'].forEach(key => {
+                state[key] = params.get(key) || '';
+            });
+            if (SORT_FIELDS.includes(params.get('sort'))) state.sort = params.get('sort');
+            if (params.get('dir') === 'asc' || params.get('dir') === 'desc') state.dir = params.get('dir');
+            state.page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+            const size = parseInt(params.get('size'), 10);
+            if (PAGE_SIZES.includes(size)) state.size = size;
+            return state;
+        }
+
+        // Only non-default values are written, so a fresh dashboard keeps a clean URL
+        function writeTableState() {
+            const params = new URLSearchParams();
+            Object.keys(TABLE_DEFAULTS).forEach(key => {
+                if (tableState[key] !== TABLE_DEFAULTS[key]) params.set(key, tableState[key]);
+            });
+            const query = params.toString() ? `?${params}` : '';
+            history.replaceState(null, '', `${window.location.pathname}${query}`);
+            sessionStorage.setItem(DASHBOARD_QUERY_KEY, query);
+        }
+
+        function normalizeText(value) {
+            return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        }
+
+        function comparePosts(a, b) {
+            switch (tableState.sort) {
+                case 'title':
+                case 'category':
+                    return String(a[tableState.sort] || '').localeCompare(String(b[tableState.sort] || ''), undefined, { sensitivity: 'base' });
+                case 'status':
+                    return getPostStatus(a).localeCompare(getPostStatus(b));
+                default:
+                    return new Date(a.createdAt || a.date) - new Date(b.createdAt || b.date);
+            }
+        }
+
+        // Filter, sort and paginate allPosts according to tableState
+        function applyTableState() {
+            const terms = normalizeText(tableState.q).split(/\s+/).filter(Boolean);
+
+            const filtered = allPosts.filter(post => {
+                if (pendingDeleteIds.has(String(post._id))) return false;
+                if (tableState.status && getPostStatus(post) !== tableState.status) return false;
+                if (tableState.category && normalizeText(post.category) !== normalizeText(tableState.category)) return false;
+                if (terms.length) {
+                    const haystack = normalizeText([post.title, post.category, parseTags(post.tags).join(' ')].join(' '));
+                    return terms.every(term => haystack.includes(term));
+                }
+                return true;
+            });
+
+            const direction = tableState.dir === 'asc' ? 1 : -1;
+            filtered.sort((a, b) => comparePosts(a, b) * direction);
+
+            const totalPages = Math.max(1, Math.ceil(filtered.length / tableState.size));
+            tableState.page = Math.min(tableState.page, totalPages);
+            const start = (tableState.page - 1) * tableState.size;
+
+            renderPosts(filtered.slice(start, start + tableState.size));
+            renderTableControls(filtered.length, totalPages, start);
+            updateBulkBar();
+            writeTableState();
+        }
+
+        function renderTableControls(total, totalPages, start) {
+            document.querySelectorAll('.posts-table th[data-sort]').forEach(th => {
+                const active = th.dataset.sort === tableState.sort;
+                th.setAttribute('aria-sort', active ? (tableState.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+                th.classList.toggle('sorted', active);
+            });
+
+            document.getElementById('pageSummary').textContent = total
+                ? `Showing ${start + 1}–${Math.min(start + tableState.size, total)} of ${total}`
+                : 'No posts match your filters';
+            document.getElementById('pageIndicator').textContent = `Page ${tableState.page} of ${totalPages}`;
+            prevPageBtn.disabled = tableState.page <= 1;
+            nextPageBtn.disabled = tableState.page >= totalPages;
+        }
+
+        // Category options come from the loaded posts
+        function renderCategoryOptions() {
+            const categories = [];
+            allPosts.forEach(post => {
+                const category = String(post.category || '').trim();
+                if (category && !categories.some(c => normalizeText(c) === normalizeText(category))) {
+                    categories.push(category);
+                }
+            });
+            categories.sort((a, b) => a.localeCompare(b));
+
+            categoryFilter.innerHTML = '<option value="">All categories</option>' + categories
+                .map(category => `<option value="${Sanitizer.escapeHtml(category)}">${Sanitizer.escapeHtml(category)}</option>`)
+                .join('');
+            categoryFilter.value = categories.find(c => normalizeText(c) === normalizeText(tableState.category)) || '';
+        }
+
+        // Sync the controls with the state read from the URL
+        postSearch.value = tableState.q;
+        statusFilter.value = tableState.status;
+        pageSizeSelect.value = String(tableState.size);
+        writeTableState();
+
+        let searchTimer = null;
+        postSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                tableState.q = postSearch.value.trim();
+                tableState.page = 1;
+                applyTableState();
+            }, 200);
+        });
+
+        statusFilter.addEventListener('change', () => {
+            tableState.status = statusFilter.value;
+            tableState.page = 1;
+            applyTableState();
+        });
+
+        categoryFilter.addEventListener('change', () => {
+            tableState.category = categoryFilter.value;
+            tableState.page = 1;
+            applyTableState();
+        });
+
+        pageSizeSelect.addEventListener('change', () => {
+            tableState.size = parseInt(pageSizeSelect.value, 10);
+            tableState.page = 1;
+            applyTableState();
+        });
+
+        prevPageBtn.addEventListener('click', () => {
+            tableState.page--;
+            applyTableState();
+        });
+
+        nextPageBtn.addEventListener('click', () => {
+            tableState.page++;
+            applyTableState();
+        });
+
+        // Clicking a header sorts by it; clicking it again flips the direction
+        document.querySelectorAll('.posts-table th[data-sort]').forEach(th => {
+            th.querySelector('.sort-btn').addEventListener('click', () => {
+                if (tableState.sort === th.dataset.sort) {
+                    tableState.dir = tableState.dir === 'asc' ? 'desc' : 'asc';
+                } else {
+                    tableState.sort = th.dataset.sort;
+                    tableState.dir = th.dataset.sort === 'date' ? 'desc' : 'asc';
+                }
+                tableState.page = 1;
+                applyTableState();
+            });
+        });
+
+        // Signed-in user and role-dependent sections
+        renderCurrentUser('currentUser');
+        document.querySelectorAll('[data-requires]').forEach(element => {
+            element.style.display = can(element.dataset.requires) ? '' : 'none';
+        });
+
+        // Logout functionality
+        logoutBtn.addEventListener('click', () => {
+            Auth.logout();
+            window.location.href = 'login.html';
+        });
+
+        // Fetch and display posts
+        async function loadPosts() {
+            try {
+                loadingState.style.display = 'block';
+                errorState.style.display = 'none';
+                postsTableContainer.style.display = 'none';
+                emptyState.style.display = 'none';
+
+                const data = await apiRequest(API_CONFIG.ENDPOINTS.POSTS);
+                allPosts = data.posts || data.data || data || [];
+
+                // Drop selections for posts that no longer exist
+                const loadedIds = new Set(allPosts.map(post => String(post._id)));
+                selectedIds.forEach(id => {
+                    if (!loadedIds.has(id)) selectedIds.delete(id);
+                });
+
+                loadingState.style.display = 'none';
+
+                if (allPosts.length === 0) {
+                    postsToolbar.style.display = 'none';
+                    emptyState.style.display = 'block';
+                    return;
+                }
+
+                postsToolbar.style.display = 'flex';
+                postsTableContainer.style.display = 'block';
+                renderCategoryOptions();
+                applyTableState();
+            } catch (error) {
+                loadingState.style.display = 'none';
+                errorState.style.display = 'block';
+                errorState.querySelector('.error-message').textContent = error.message;
+            }
+        }
+
+        // Render posts in table
+        // Post fields are escaped; row actions use data attributes instead of inline handlers
+        // and are only rendered when the user's role allows them (see ROLE_PERMISSIONS)
+        function renderPosts(posts) {
+            const escape = Sanitizer.escapeHtml;
+            postsTableBody.innerHTML = '';
+
+            if (posts.length === 0) {
+                postsTableBody.innerHTML = '<tr><td colspan="7" class="table-empty">No posts match your filters.</td></tr>';
+                return;
+            }
+
+            posts.forEach(post => {
+                const isPublished = post.published === true;
+                const status = getPostStatus(post);
+                const countdown = status === 'scheduled'
+                    ? `<span class="countdown" data-countdown="${escape(post.publishAt)}" title="${escape(`${new Date(post.publishAt).toLocaleString()} ${getTimezoneLabel()}`)}">in ${formatCountdown(new Date(post.publishAt) - new Date())}</span>`
+                    : '';
+                const actions = [
+                    can('edit', post) ? `<a href="edit-post.html?id=${encodeURIComponent(post._id)}" class="btn btn-secondary btn-sm">Edit</a>` : '',
+                    can('publish', post) ? `<button class="btn btn-sm ${isPublished ? 'btn-draft' : 'btn-publish'}" data-action="toggle-publish" data-id="${escape(post._id)}" data-published="${isPublished}">
+                        ${isPublished ? 'Unpublish' : 'Publish'}
+                    </button>` : '',
+                    can('delete', post) ? `<button class="btn btn-danger btn-sm" data-action="delete" data-id="${escape(post._id)}">Delete</button>` : ''
+                ].filter(Boolean).join('\n                    ');
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                <td class="select-col">
+                    <input type="checkbox" class="row-select" data-id="${escape(post._id)}" ${selectedIds.has(String(post._id)) ? 'checked' : ''} aria-label="Select ${escape(post.title)}">
+                </td>
+                <td>
+                    ${post.image ? `<img src="${escape(resolveImageUrl(post.image))}" alt="${escape(post.title)}" class="post-image">` : '<div class="post-image" style="background: #e2e8f0;"></div>'}
+                </td>
+                <td class="post-title">${escape(post.title)}</td>
+                <td><span class="post-category">${escape(post.category)}</span></td>
+                <td>
+                    <span class="status-badge status-${status}">
+                        ${STATUS_LABELS[status]}
+                    </span>
+                    ${countdown}
+                </td>
+                <td class="post-date">${formatDate(post.createdAt || post.date)}</td>
+                <td class="table-actions">
+                    ${actions || '<span class="no-actions">View only</span>'}
+                </td>
+            `;
+                postsTableBody.appendChild(row);
+            });
+        }
+
+        // Tick scheduled countdowns; re-render once a post goes live so its badge flips
+        setInterval(() => {
+            let wentLive = false;
+            postsTableBody.querySelectorAll('[data-countdown]').forEach(element => {
+                const remaining = new Date(element.dataset.countdown) - new Date();
+                if (remaining <= 0) wentLive = true;
+                element.textContent = `in ${formatCountdown(remaining)}`;
+            });
+            if (wentLive) applyTableState();
+        }, 30 * 1000);
+
+        // Row action buttons
+        postsTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const postId = button.dataset.id;
+            if (button.dataset.action === 'toggle-publish') {
+                togglePublished(postId, button.dataset.published === 'true');
+            } else if (button.dataset.action === 'delete') {
+                openDeleteModal(postId);
+            }
+        });
+
+        // ===== Bulk actions =====
+        const bulkBar = document.getElementById('bulkBar');
+        const bulkProgress = document.getElementById('bulkProgress');
+        const bulkProgressList = document.getElementById('bulkProgressList');
+        const bulkUndoBtn = document.getElementById('bulkUndoBtn');
+        const selectAllPosts = document.getElementById('selectAllPosts');
+
+        const BULK_CONCURRENCY = 4;
+        const DELETE_UNDO_WINDOW = 10 * 1000;
+        let undoBatch = null; // { label, items: [{ post, options }] } or { cancelDelete }
+        let bulkRunning = false;
+
+        // Each action maps a post to the apiRequest options that apply it and that revert it
+        const BULK_ACTIONS = {
+            publish: {
+                verb: 'Published',
+                progress: 'Publishing',
+                permission: 'publish',
+                appliesTo: post => post.published !== true,
+                request: () => ({ method: 'PUT', body: JSON.stringify({ published: true }) }),
+                revert: () => ({ method: 'PUT', body: JSON.stringify({ published: false }) })
+            },
+            unpublish: {
+                verb: 'Unpublished',
+                progress: 'Unpublishing',
+                permission: 'publish',
+                appliesTo: post => post.published === true,
+                request: () => ({ method: 'PUT', body: JSON.stringify({ published: false }) }),
+                revert: () => ({ method: 'PUT', body: JSON.stringify({ published: true }) })
+            },
+            recategorize: {
+                verb: 'Recategorized',
+                progress: 'Recategorizing',
+                permission: 'edit',
+                appliesTo: (post, category) => post.category !== category,
+                request: (post, category) => ({ method: 'PUT', body: JSON.stringify({ category }) }),
+                revert: post => ({ method: 'PUT', body: JSON.stringify({ category: post.category }) })
+            },
+            delete: {
+                verb: 'Deleted',
+                progress: 'Deleting',
+                permission: 'delete',
+                appliesTo: () => true,
+                request: () => ({ method: 'DELETE' })
+            }
+        };
+
+        function getSelectedPosts() {
+            return allPosts.filter(post => selectedIds.has(String(post._id)));
+        }
+
+        // A delete waiting out its undo window blocks new batches: there is one undo
+        // button, and a second batch would take it over and lose the first one's undo
+        function isBulkBusy() {
+            return bulkRunning || pendingDeleteIds.size > 0;
+        }
+
+        function updateBulkBar() {
+            const count = selectedIds.size;
+            bulkBar.style.display = count && !isBulkBusy() ? 'flex' : 'none';
+            document.getElementById('bulkCount').textContent = `${count} selected`;
+
+            const pageBoxes = Array.from(postsTableBody.querySelectorAll('.row-select'));
+            const checked = pageBoxes.filter(box => box.checked).length;
+            selectAllPosts.checked = pageBoxes.length > 0 && checked === pageBoxes.length;
+            selectAllPosts.indeterminate = checked > 0 && checked < pageBoxes.length;
+        }
+
+        postsTableBody.addEventListener('change', (e) => {
+            const box = e.target.closest('.row-select');
+            if (!box) return;
+            if (box.checked) selectedIds.add(box.dataset.id);
+            else selectedIds.delete(box.dataset.id);
+            updateBulkBar();
+        });
+
+        // Select-all works on the rows of the current page
+        selectAllPosts.addEventListener('change', () => {
+            postsTableBody.querySelectorAll('.row-select').forEach(box => {
+                box.checked = selectAllPosts.checked;
+                if (box.checked) selectedIds.add(box.dataset.id);
+                else selectedIds.delete(box.dataset.id);
+            });
+            updateBulkBar();
+        });
+
+        function showBulkProgress(title, posts) {
+            bulkProgress.style.display = 'block';
+            bulkUndoBtn.style.display = 'none';
+            document.getElementById('bulkProgressTitle').textContent = title;
+            document.getElementById('bulkProgressCount').textContent = `0 / ${posts.length}`;
+            document.getElementById('bulkProgressBar').style.width = '0%';
+            bulkProgressList.innerHTML = posts.map(post => `
+                <li class="bulk-item pending" data-id="${Sanitizer.escapeHtml(post._id)}">
+                    <span class="bulk-item-title">${Sanitizer.escapeHtml(post.title)}</span>
+                    <span class="bulk-item-status">Waiting</span>
+                </li>
+            `).join('');
+        }
+
+        function markBulkItem(postId, ok, message) {
+            const item = Array.from(bulkProgressList.children).find(li => li.dataset.id === String(postId));
+            if (!item) return;
+            item.classList.remove('pending');
+            item.classList.add(ok ? 'done' : 'failed');
+            item.querySelector('.bulk-item-status').textContent = message;
+        }
+
+        /**
+         * Send one request per post with bounded concurrency, reporting each result as it lands
+         */
+        async function runBulkRequests(title, items) {
+            bulkRunning = true;
+            updateBulkBar();
+            showBulkProgress(title, items.map(item => item.post));
+
+            let settled = 0;
+            const results = await runWithConcurrency(items, BULK_CONCURRENCY, async ({ post, options }) => {
+                const result = await apiRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(post._id), options);
+                if (!result) throw new Error('Session expired');
+                return result;
+            }, (result) => {
+                settled++;
+                markBulkItem(result.item.post._id, result.ok, result.ok ? 'Done' : result.error.message);
+                document.getElementById('bulkProgressCount').textContent = `${settled} / ${items.length}`;
+                document.getElementById('bulkProgressBar').style.width = `${(settled / items.length) * 100}%`;
+            });
+
+            bulkRunning = false;
+            return results;
+        }
+
+        function summarizeBulk(verb, results, skipped) {
+            const failed = results.filter(result => !result.ok).length;
+            const parts = [`${verb} ${results.length - failed} of ${results.length} posts`];
+            if (failed) parts.push(`${failed} failed`);
+            if (skipped) parts.push(`${skipped} skipped`);
+            document.getElementById('bulkProgressTitle').textContent = parts.join(' · ');
+        }
+
+        async function runBulkAction(actionName) {
+            const action = BULK_ACTIONS[actionName];
+            const category = document.getElementById('bulkCategory').value.trim();
+
+            if (actionName === 'recategorize' && !category) {
+                alert('Enter the new category first.');
+                return;
+            }
+
+            // Posts the role can't touch, or that are already in the target state, are skipped
+            const selected = getSelectedPosts();
+            const targets = selected.filter(post => can(action.permission, post) && action.appliesTo(post, category));
+            const skipped = selected.length - targets.length;
+
+            if (targets.length === 0) {
+                alert('None of the selected posts can be changed by this action.');
+                return;
+            }
 
-        // Logout functionality
-        logoutBtn.addEventListener('click', () => {
-            removeToken();
-            window.location.href = 'login.html';
-        });
+            if (actionName === 'delete') {
+                scheduleBulkDelete(targets, skipped);
+                return;
+            }
 
-        // Fetch and display posts
-        async function loadPosts() {
-            try {
-                loadingState.style.display = 'block';
-                errorState.style.display = 'none';
-                postsTableContainer.style.display = 'none';
-                emptyState.style.display = 'none';
+            const results = await runBulkRequests(`${action.progress} ${targets.length} posts...`,
+                targets.map(post => ({ post, options: action.request(post, category) })));
+            summarizeBulk(action.verb, results, skipped);
 
-                const data = await apiRequest(API_CONFIG.ENDPOINTS.POSTS);
-                const posts = data.posts || data;
+            // Undo reverts only the posts that actually changed
+            const changed = results.filter(result => result.ok).map(result => result.item.post);
+            undoBatch = changed.length ? {
+                label: action.verb,
+                items: changed.map(post => ({ post, options: action.revert(post) }))
+            } : null;
+            bulkUndoBtn.style.display = undoBatch ? 'inline-block' : 'none';
 
-                loadingState.style.display = 'none';
+            selectedIds.clear();
+            loadPosts();
+        }
 
-                if (!posts || posts.length === 0) {
-                    emptyState.style.display = 'block';
-                    return;
+        // Deletes can't be reverted through the API, so they wait out an undo window first
+        function scheduleBulkDelete(targets, skipped) {
+            if (!confirm(`Delete ${targets.length} posts? You can undo for ${DELETE_UNDO_WINDOW / 1000} seconds.`)) return;
+
+            targets.forEach(post => pendingDeleteIds.add(String(post._id)));
+            selectedIds.clear();
+            applyTableState();
+            updateBulkBar();
+
+            showBulkProgress(`Deleting ${targets.length} posts in ${DELETE_UNDO_WINDOW / 1000}s...`, targets);
+            const timer = setTimeout(async () => {
+                undoBatch = null;
+                const results = await runBulkRequests(`Deleting ${targets.length} posts...`,
+                    targets.map(post => ({ post, options: BULK_ACTIONS.delete.request(post) })));
+                summarizeBulk(BULK_ACTIONS.delete.verb, results, skipped);
+                bulkUndoBtn.style.display = 'none';
+                pendingDeleteIds.clear();
+                loadPosts();
+            }, DELETE_UNDO_WINDOW);
+
+            undoBatch = {
+                cancelDelete: () => {
+                    clearTimeout(timer);
+                    pendingDeleteIds.clear();
+                    applyTableState();
+                    document.getElementById('bulkProgressTitle').textContent = `Delete cancelled for ${targets.length} posts`;
+                    bulkProgressList.innerHTML = '';
                 }
+            };
+            bulkUndoBtn.style.display = 'inline-block';
+        }
 
-                postsTableContainer.style.display = 'block';
-                renderPosts(posts);
-            } catch (error) {
-                loadingState.style.display = 'none';
-                errorState.style.display = 'block';
-                errorState.querySelector('.error-message').textContent = error.message;
+        bulkBar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (!button || isBulkBusy()) return;
+
+            if (button.dataset.bulk === 'clear') {
+                selectedIds.clear();
+                applyTableState();
+                updateBulkBar();
+                return;
             }
-        }
+            runBulkAction(button.dataset.bulk);
+        });
 
-        // Render posts in table
-        function renderPosts(posts) {
-            postsTableBody.innerHTML = '';
+        bulkUndoBtn.addEventListener('click', async () => {
+            if (!undoBatch || bulkRunning) return;
+            const batch = undoBatch;
+            undoBatch = null;
+            bulkUndoBtn.style.display = 'none';
 
-            posts.forEach(post => {
-                const isPublished = post.published === true;
-                const row = document.createElement('tr');
-                row.innerHTML = `
-                <td>
-                    ${post.image ? `<img src="${post.image.startsWith('http') ? post.image : API_CONFIG.BASE_URL + post.image}" alt="${post.title}" class="post-image">` : '<div class="post-image" style="background: #e2e8f0;"></div>'}
-                </td>
-                <td class="post-title">${post.title}</td>
-                <td><span class="post-category">${post.category}</span></td>
-                <td>
-                    <span class="status-badge ${isPublished ? 'status-published' : 'status-draft'}">
-                        ${isPublished ? '✅ Published' : '📝 Draft'}
-                    </span>
-                </td>
-                <td class="post-date">${formatDate(post.createdAt || post.date)}</td>
-                <td class="table-actions">
-                    <a href="edit-post.html?id=${post._id}" class="btn btn-secondary btn-sm">Edit</a>
-                    <button class="btn btn-sm ${isPublished ? 'btn-draft' : 'btn-publish'}" onclick="togglePublished('${post._id}', ${isPublished})">
-                        ${isPublished ? 'Unpublish' : 'Publish'}
-                    </button>
-                    <button class="btn btn-danger btn-sm" onclick="openDeleteModal('${post._id}')">Delete</button>
-                </td>
-            `;
-                postsTableBody.appendChild(row);
-            });
-        }
+            if (batch.cancelDelete) {
+                batch.cancelDelete();
+                return;
+            }
+
+            const results = await runBulkRequests(`Undoing: ${batch.label.toLowerCase()} ${batch.items.length} posts...`, batch.items);
+            summarizeBulk('Reverted', results, 0);
+            loadPosts();
+        });
+
+        document.getElementById('bulkDismissBtn').addEventListener('click', () => {
+            bulkProgress.style.display = 'none';
+        });
+
+        // Warn before leaving while a batch is still running or a delete is pending
+        window.addEventListener('beforeunload', (e) => {
+            if (!isBulkBusy()) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
 
         // Delete modal functions
         window.openDeleteModal = (postId) => {
@@ -618,33 +3316,42 @@ if (window.location.pathname.includes('add-post.html')) {
 
         // Setup auto-logout timer after successful authentication
         setupAutoLogout();
+        linkBackToDashboard();
 
         const logoutBtn = document.getElementById('logoutBtn');
         const addPostForm = document.getElementById('addPostForm');
         const submitBtn = document.getElementById('submitBtn');
-        const imageInput = document.getElementById('image');
-        const imagePreview = document.getElementById('imagePreview');
+        const heroImage = setupHeroImageField();
+        const libraryImage = setupLibraryImageField();
+        const contentEditor = setupMarkdownEditor('contentEditor');
+        const draft = setupDraftAutosave({
+            draftId: 'new',
+            form: addPostForm,
+            onRestore: () => contentEditor.refresh()
+        });
+        draft.setBaseline();
+
+        // Authors can only save drafts; viewers can't create posts at all
+        if (!can('create')) {
+            showError('errorMessage', 'Your role does not allow creating posts.');
+            disableForm(addPostForm);
+        } else if (!can('publish', { author: Auth.getCurrentUser() })) {
+            submitBtn.style.display = 'none';
+        }
 
         // Logout functionality
         logoutBtn.addEventListener('click', () => {
             console.log('🚪 User logging out...');
-            removeToken();
-            console.log('✅ Token cleared from localStorage');
+            Auth.logout();
             window.location.href = 'login.html';
         });
 
-        // Image preview
-        imageInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    imagePreview.innerHTML = `<img src="${e.target.result}" alt="Preview">`;
-                };
-                reader.readAsDataURL(file);
-            } else {
-                imagePreview.innerHTML = '';
-            }
+        const uploadProgress = setupUploadProgress('uploadProgress');
+
+        // A future publishAt turns "Publish" into "Schedule"
+        const submitBtnText = submitBtn.querySelector('.btn-text');
+        const publishAtField = setupPublishAtField(isFuture => {
+            submitBtnText.textContent = isFuture ? 'Schedule Post' : 'Publish Post';
         });
 
         // Track which button triggered the form
@@ -663,8 +3370,9 @@ if (window.location.pathname.includes('add-post.html')) {
 
             const title = document.getElementById('title').value.trim();
             const category = document.getElementById('category').value.trim();
+            const tags = parseTags(document.getElementById('tags').value);
             const content = document.getElementById('content').value.trim();
-            const image = imageInput.files[0];
+            const publishAt = fromDateTimeLocal(document.getElementById('publishAt').value);
 
             // Validation
             if (!title || !category || !content) {
@@ -672,7 +3380,13 @@ if (window.location.pathname.includes('add-post.html')) {
                 return;
             }
 
+            if (contentEditor.hasPendingUploads()) {
+                showError('errorMessage', 'Images are still uploading into the content. Save again once they finish.');
+                return;
+            }
+
             const isDraft = publishValue === 'false';
+            const isScheduled = !isDraft && !!publishAt && new Date(publishAt) > new Date();
             const activeBtn = isDraft
                 ? document.getElementById('submitDraftBtn')
                 : document.getElementById('submitBtn');
@@ -686,32 +3400,54 @@ if (window.location.pathname.includes('add-post.html')) {
                 const formData = new FormData();
                 formData.append('title', title);
                 formData.append('category', category);
+                appendTags(formData, tags);
                 formData.append('content', content);
                 formData.append('published', publishValue);
+                formData.append('publishAt', publishAt);
+                const image = await heroImage.getFile();
                 if (image) {
                     formData.append('image', image);
+                } else if (libraryImage.getPath()) {
+                    formData.append('image', libraryImage.getPath());
                 }
 
-                await apiRequest(API_CONFIG.ENDPOINTS.POSTS, {
+                // Creating is not idempotent, so a failed POST is never replayed automatically
+                const result = await uploadRequest(API_CONFIG.ENDPOINTS.POSTS, {
                     method: 'POST',
                     body: formData,
+                    signal: uploadProgress.start(),
+                    onProgress: uploadProgress.update,
+                    onRetry: uploadProgress.retrying
                 });
+                if (!result) return; // 401: redirecting to login, the local draft is kept
 
-                showSuccess('successMessage', isDraft ? 'Draft saved successfully!' : 'Post published successfully!');
+                let message = isDraft ? 'Draft saved successfully!' : 'Post published successfully!';
+                if (isScheduled) {
+                    message = `Post scheduled for ${new Date(publishAt).toLocaleString()} ${getTimezoneLabel()}`;
+                }
+                showSuccess('successMessage', message);
 
                 // Reset form
                 addPostForm.reset();
-                imagePreview.innerHTML = '';
+                libraryImage.clear();
+                heroImage.reset();
+                contentEditor.refresh();
+                publishAtField.update();
+                draft.clear();
 
                 // Redirect after 2 seconds
                 setTimeout(() => {
-                    window.location.href = 'dashboard.html';
+                    window.location.href = getDashboardUrl();
                 }, 2000);
             } catch (error) {
-                showError('errorMessage', error.message);
-                submitBtn.disabled = false;
-                submitBtn.querySelector('.btn-text').style.display = 'inline';
-                submitBtn.querySelector('.btn-loader').style.display = 'none';
+                showError('errorMessage', error.kind === 'aborted'
+                    ? 'Upload cancelled. Nothing was saved; your post is still in the form.'
+                    : error.message);
+                activeBtn.disabled = false;
+                activeBtn.querySelector('.btn-text').style.display = 'inline';
+                activeBtn.querySelector('.btn-loader').style.display = 'none';
+            } finally {
+                uploadProgress.finish();
             }
         });
     })(); // End initAddPost async function
@@ -726,29 +3462,52 @@ if (window.location.pathname.includes('edit-post.html')) {
 
         // Setup auto-logout timer after successful authentication
         setupAutoLogout();
+        linkBackToDashboard();
 
         const logoutBtn = document.getElementById('logoutBtn');
         const editPostForm = document.getElementById('editPostForm');
         const submitBtn = document.getElementById('submitBtn');
         const loadingState = document.getElementById('loadingState');
         const errorState = document.getElementById('errorState');
-        const imageInput = document.getElementById('image');
-        const imagePreview = document.getElementById('imagePreview');
         const currentImage = document.getElementById('currentImage');
+        const uploadProgress = setupUploadProgress('uploadProgress');
+        const heroImage = setupHeroImageField();
+        const libraryImage = setupLibraryImageField();
+        const contentEditor = setupMarkdownEditor('contentEditor');
 
         // Get post ID from URL
         const urlParams = new URLSearchParams(window.location.search);
         const postId = urlParams.get('id');
 
         if (!postId) {
-            window.location.href = 'dashboard.html';
+            window.location.href = getDashboardUrl();
         }
 
+        const publishAtField = setupPublishAtField();
+        const draft = setupDraftAutosave({
+            draftId: postId,
+            form: editPostForm,
+            onRestore: () => contentEditor.refresh()
+        });
+        const revisionHistory = setupRevisionHistory({
+            postId,
+            onRestore: () => {
+                contentEditor.refresh();
+                publishAtField.update();
+            }
+        });
+        const conflicts = setupEditConflicts({
+            postId,
+            onResolve: (latest) => {
+                contentEditor.refresh();
+                revisionHistory.load(latest);
+            }
+        });
+
         // Logout functionality
         logoutBtn.addEventListener('click', () => {
             console.log('🚪 User logging out...');
-            removeToken();
-            console.log('✅ Token cleared from localStorage');
+            Auth.logout();
             window.location.href = 'login.html';
         });
 
@@ -759,24 +3518,46 @@ if (window.location.pathname.includes('edit-post.html')) {
                 errorState.style.display = 'none';
                 editPostForm.style.display = 'none';
 
-                const data = await apiRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(postId));
+                let etag = null;
+                const data = await apiRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(postId), {
+                    onResponse: (response) => {
+                        etag = response.headers.get('ETag');
+                    }
+                });
                 const post = data.post || data;
+                conflicts.track(post, etag);
 
                 // Populate form
                 document.getElementById('title').value = post.title;
                 document.getElementById('category').value = post.category;
+                document.getElementById('tags').value = parseTags(post.tags).join(', ');
                 document.getElementById('content').value = post.content;
+                document.getElementById('publishAt').value = toDateTimeLocal(post.publishAt);
+                contentEditor.refresh();
+                publishAtField.update();
+                draft.setBaseline();
+
+                const canEdit = can('edit', post);
+                if (!canEdit) {
+                    showError('formErrorMessage', 'Your role does not allow editing this post.');
+                    disableForm(editPostForm);
+                }
 
                 if (post.image) {
-                    const imgSrc = post.image.startsWith('http') ? post.image : API_CONFIG.BASE_URL + post.image;
+                    const imgSrc = resolveImageUrl(post.image);
                     currentImage.innerHTML = `
-                    <img src="${imgSrc}" alt="${post.title}">
+                    <img src="${Sanitizer.escapeHtml(imgSrc)}" alt="${Sanitizer.escapeHtml(post.title)}">
                     <p>Current featured image</p>
                 `;
                 }
 
                 loadingState.style.display = 'none';
                 editPostForm.style.display = 'block';
+
+                if (canEdit) {
+                    revisionHistory.load(post, readDraftValues());
+                    setupEditPresence(postId);
+                }
             } catch (error) {
                 loadingState.style.display = 'none';
                 errorState.style.display = 'block';
@@ -784,20 +3565,6 @@ if (window.location.pathname.includes('edit-post.html')) {
             }
         }
 
-        // Image preview
-        imageInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    imagePreview.innerHTML = `<img src="${e.target.result}" alt="Preview"><p>New image preview</p>`;
-                };
-                reader.readAsDataURL(file);
-            } else {
-                imagePreview.innerHTML = '';
-            }
-        });
-
         // Form submission
         editPostForm.addEventListener('submit', async (e) => {
             e.preventDefault();
@@ -806,8 +3573,9 @@ if (window.location.pathname.includes('edit-post.html')) {
 
             const title = document.getElementById('title').value.trim();
             const category = document.getElementById('category').value.trim();
+            const tags = parseTags(document.getElementById('tags').value);
             const content = document.getElementById('content').value.trim();
-            const image = imageInput.files[0];
+            const publishAt = fromDateTimeLocal(document.getElementById('publishAt').value);
 
             // Validation
             if (!title || !category || !content) {
@@ -815,36 +3583,72 @@ if (window.location.pathname.includes('edit-post.html')) {
                 return;
             }
 
+            if (contentEditor.hasPendingUploads()) {
+                showError('formErrorMessage', 'Images are still uploading into the content. Save again once they finish.');
+                return;
+            }
+
             // Show loading state
             submitBtn.disabled = true;
             submitBtn.querySelector('.btn-text').style.display = 'none';
             submitBtn.querySelector('.btn-loader').style.display = 'inline';
 
+            const resetSubmitBtn = () => {
+                submitBtn.disabled = false;
+                submitBtn.querySelector('.btn-text').style.display = 'inline';
+                submitBtn.querySelector('.btn-loader').style.display = 'none';
+            };
+
             try {
+                // Someone else saved since this page loaded: merge instead of overwriting
+                if (await conflicts.check()) {
+                    resetSubmitBtn();
+                    return;
+                }
+
                 const formData = new FormData();
                 formData.append('title', title);
                 formData.append('category', category);
+                appendTags(formData, tags);
                 formData.append('content', content);
+                formData.append('publishAt', publishAt);
+                const image = await heroImage.getFile();
                 if (image) {
                     formData.append('image', image);
+                } else if (libraryImage.getPath()) {
+                    formData.append('image', libraryImage.getPath());
                 }
 
-                await apiRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(postId), {
+                // PUT is idempotent, so network errors and 5xx are retried with backoff
+                const result = await uploadRequest(API_CONFIG.ENDPOINTS.POST_BY_ID(postId), {
                     method: 'PUT',
+                    headers: conflicts.getHeaders(),
                     body: formData,
+                    signal: uploadProgress.start(),
+                    onProgress: uploadProgress.update,
+                    onRetry: uploadProgress.retrying
                 });
+                if (!result) return; // 401: redirecting to login, the local draft is kept
+
+                // Keep the version just replaced so an accidental save can be undone
+                await revisionHistory.snapshot();
 
+                draft.clear();
                 showSuccess('successMessage', 'Post updated successfully!');
 
                 // Redirect after 2 seconds
                 setTimeout(() => {
-                    window.location.href = 'dashboard.html';
+                    window.location.href = getDashboardUrl();
                 }, 2000);
             } catch (error) {
-                showError('formErrorMessage', error.message);
-                submitBtn.disabled = false;
-                submitBtn.querySelector('.btn-text').style.display = 'inline';
-                submitBtn.querySelector('.btn-loader').style.display = 'none';
+                if (error.kind === 'aborted') {
+                    showError('formErrorMessage', 'Upload cancelled. The post was not updated; your changes are still in the form.');
+                } else if (!await conflicts.handleConflict(error).catch(() => false)) {
+                    showError('formErrorMessage', error.message);
+                }
+                resetSubmitBtn();
+            } finally {
+                uploadProgress.finish();
             }
         });
 
@@ -852,3 +3656,391 @@ if (window.location.pathname.includes('edit-post.html')) {
         loadPost();
     })(); // End initEditPost async function
 }
+
+// ===== USERS PAGE =====
+if (window.location.pathname.includes('users.html')) {
+    // Verify authentication before initializing users page
+    (async function initUsers() {
+        const isAuthorized = await protectRoute();
+        if (!isAuthorized) return; // Redirect will happen in protectRoute
+
+        // Setup auto-logout timer after successful authentication
+        setupAutoLogout();
+        linkBackToDashboard();
+
+        const logoutBtn = document.getElementById('logoutBtn');
+        const loadingState = document.getElementById('loadingState');
+        const errorState = document.getElementById('errorState');
+        const usersContent = document.getElementById('usersContent');
+        const usersTableBody = document.getElementById('usersTableBody');
+        const createUserForm = document.getElementById('createUserForm');
+        const createUserBtn = document.getElementById('createUserBtn');
+        const resetPasswordModal = document.getElementById('resetPasswordModal');
+        const resetPasswordForm = document.getElementById('resetPasswordForm');
+        const confirmResetBtn = document.getElementById('confirmResetBtn');
+
+        let users = [];
+        let userToReset = null;
+
+        renderCurrentUser('currentUser');
+
+        // Logout functionality
+        logoutBtn.addEventListener('click', () => {
+            console.log('🚪 User logging out...');
+            Auth.logout();
+            window.location.href = 'login.html';
+        });
+
+        if (!can('manage-users')) {
+            loadingState.style.display = 'none';
+            errorState.style.display = 'block';
+            errorState.querySelector('.error-message').textContent = 'Only admins can manage users.';
+            return;
+        }
+
+        function setButtonLoading(button, isLoading) {
+            button.disabled = isLoading;
+            button.querySelector('.btn-text').style.display = isLoading ? 'none' : 'inline';
+            button.querySelector('.btn-loader').style.display = isLoading ? 'inline' : 'none';
+        }
+
+        // Backends flag disabled accounts as active: false, isActive: false or status: 'inactive'
+        function isUserActive(user) {
+            if (typeof user.active === 'boolean') return user.active;
+            if (typeof user.isActive === 'boolean') return user.isActive;
+            return user.status !== 'inactive' && user.status !== 'deactivated';
+        }
+
+        // Fetch and display users
+        async function loadUsers() {
+            try {
+                loadingState.style.display = 'block';
+                errorState.style.display = 'none';
+
+                const data = await apiRequest(API_CONFIG.ENDPOINTS.USERS);
+                if (!data) return; // 401: redirecting to login
+                users = data.users || data.data || data;
+
+                loadingState.style.display = 'none';
+                usersContent.style.display = 'block';
+                renderUsers();
+            } catch (error) {
+                loadingState.style.display = 'none';
+                errorState.style.display = 'block';
+                errorState.querySelector('.error-message').textContent = error.message;
+            }
+        }
+
+        // Render users in table; your own row can't change its role or be deactivated
+        function renderUsers() {
+            const escape = Sanitizer.escapeHtml;
+            const currentUserId = getUserId(Auth.getCurrentUser());
+            usersTableBody.innerHTML = '';
+
+            users.forEach(user => {
+                const id = getUserId(user);
+                const isSelf = id === currentUserId;
+                const isActive = isUserActive(user);
+                const role = getUserRole(user);
+                const roleOptions = Object.keys(ROLE_PERMISSIONS)
+                    .map(value => `<option value="${value}" ${value === role ? 'selected' : ''}>${ROLE_LABELS[value]}</option>`)
+                    .join('');
+
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                <td class="post-title">${escape(user.name || user.username || '—')}${isSelf ? ' <span class="no-actions">(you)</span>' : ''}</td>
+                <td>${escape(user.email)}</td>
+                <td>
+                    <select class="role-select" data-action="change-role" data-id="${escape(id)}" ${isSelf ? 'disabled' : ''} aria-label="Role">
+                        ${roleOptions}
+                    </select>
+                </td>
+                <td>
+                    <span class="status-badge ${isActive ? 'status-published' : 'status-draft'}">
+                        ${isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                </td>
+                <td class="post-date">${user.createdAt ? formatDate(user.createdAt) : '—'}</td>
+                <td class="table-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="reset-password" data-id="${escape(id)}">Reset Password</button>
+                    ${isSelf ? '' : `<button class="btn btn-sm ${isActive ? 'btn-danger' : 'btn-publish'}" data-action="toggle-active" data-id="${escape(id)}">
+                        ${isActive ? 'Deactivate' : 'Reactivate'}
+                    </button>`}
+                </td>
+            `;
+                usersTableBody.appendChild(row);
+            });
+        }
+
+        async function updateUser(userId, changes, successMessage) {
+            hideError('usersError');
+            try {
+                await apiRequest(API_CONFIG.ENDPOINTS.USER_BY_ID(userId), {
+                    method: 'PATCH',
+                    body: JSON.stringify(changes),
+                });
+                showSuccess('usersMessage', successMessage);
+            } catch (error) {
+                showError('usersError', error.message);
+            }
+            loadUsers();
+        }
+
+        // Row actions
+        usersTableBody.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-action="change-role"]');
+            if (!select) return;
+
+            const user = users.find(u => getUserId(u) === select.dataset.id);
+            const roleLabel = ROLE_LABELS[select.value];
+            if (!confirm(`Change ${user.email} to ${roleLabel}?`)) {
+                select.value = getUserRole(user);
+                return;
+            }
+            updateUser(select.dataset.id, { role: select.value }, `${user.email} is now ${roleLabel}.`);
+        });
+
+        usersTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const user = users.find(u => getUserId(u) === button.dataset.id);
+            if (!user) return;
+
+            if (button.dataset.action === 'toggle-active') {
+                const activate = !isUserActive(user);
+                const verb = activate ? 'reactivate' : 'deactivate';
+                if (!confirm(`Are you sure you want to ${verb} ${user.email}?`)) return;
+                updateUser(getUserId(user), { active: activate }, `${user.email} has been ${verb}d.`);
+            } else if (button.dataset.action === 'reset-password') {
+                userToReset = user;
+                document.getElementById('resetPasswordUser').textContent = user.email;
+                document.getElementById('resetPasswordInput').value = generatePassword();
+                hideError('resetPasswordError');
+                resetPasswordModal.style.display = 'flex';
+            }
+        });
+
+        // Password generator buttons
+        document.querySelectorAll('[data-generate-password]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.getElementById(button.dataset.generatePassword).value = generatePassword();
+            });
+        });
+
+        // Reset password modal
+        document.getElementById('cancelResetBtn').addEventListener('click', () => {
+            resetPasswordModal.style.display = 'none';
+            userToReset = null;
+        });
+
+        resetPasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!userToReset) return;
+            hideError('resetPasswordError');
+
+            setButtonLoading(confirmResetBtn, true);
+            try {
+                await apiRequest(API_CONFIG.ENDPOINTS.USER_RESET_PASSWORD(getUserId(userToReset)), {
+                    method: 'POST',
+                    body: JSON.stringify({ newPassword: document.getElementById('resetPasswordInput').value }),
+                });
+                resetPasswordModal.style.display = 'none';
+                showSuccess('usersMessage', `Password reset for ${userToReset.email}. Share the new password with them privately.`);
+                userToReset = null;
+            } catch (error) {
+                showError('resetPasswordError', error.message);
+            } finally {
+                setButtonLoading(confirmResetBtn, false);
+            }
+        });
+
+        // Create account through the REGISTER endpoint
+        createUserForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            hideError('createUserError');
+            document.getElementById('createUserSuccess').style.display = 'none';
+
+            const name = document.getElementById('userName').value.trim();
+            const email = document.getElementById('userEmail').value.trim();
+            const role = document.getElementById('userRole').value;
+            const password = document.getElementById('userPassword').value;
+
+            if (!name || !email || !password) {
+                showError('createUserError', 'Please fill in all required fields');
+                return;
+            }
+
+            setButtonLoading(createUserBtn, true);
+            try {
+                // Any token in the response belongs to the new user and is ignored
+                await apiRequest(API_CONFIG.ENDPOINTS.REGISTER, {
+                    method: 'POST',
+                    body: JSON.stringify({ name, email, password, role }),
+                });
+                showSuccess('createUserSuccess', `Account created for ${email}.`);
+                createUserForm.reset();
+                loadUsers();
+            } catch (error) {
+                showError('createUserError', error.message);
+            } finally {
+                setButtonLoading(createUserBtn, false);
+            }
+        });
+
+        // Load users on page load
+        loadUsers();
+    })(); // End initUsers async function
+}
+
+// ===== MEDIA PAGE =====
+if (window.location.pathname.includes('media.html')) {
+    // Verify authentication before initializing media page
+    (async function initMedia() {
+        const isAuthorized = await protectRoute();
+        if (!isAuthorized) return; // Redirect will happen in protectRoute
+
+        // Setup auto-logout timer after successful authentication
+        setupAutoLogout();
+        linkBackToDashboard();
+
+        const logoutBtn = document.getElementById('logoutBtn');
+        const loadingState = document.getElementById('loadingState');
+        const errorState = document.getElementById('errorState');
+        const mediaContent = document.getElementById('mediaContent');
+        const mediaGrid = document.getElementById('mediaGrid');
+        const mediaEmpty = document.getElementById('mediaEmpty');
+        const mediaSearch = document.getElementById('mediaSearch');
+        const mediaSummary = document.getElementById('mediaSummary');
+        const mediaUpload = document.getElementById('mediaUpload');
+        const deleteMediaModal = document.getElementById('deleteMediaModal');
+        const confirmDeleteMediaBtn = document.getElementById('confirmDeleteMediaBtn');
+        // Uploads aren't owned by a user, so deleting one needs the right to delete any post
+        const canDelete = can('delete:any');
+
+        let assets = [];
+        let assetToDelete = null;
+
+        renderCurrentUser('currentUser');
+        document.querySelectorAll('[data-requires]').forEach(element => {
+            element.style.display = can(element.dataset.requires) ? '' : 'none';
+        });
+
+        // Logout functionality
+        logoutBtn.addEventListener('click', () => {
+            console.log('🚪 User logging out...');
+            Auth.logout();
+            window.location.href = 'login.html';
+        });
+
+        function renderAssets() {
+            const visible = filterMediaAssets(assets, mediaSearch.value);
+            mediaEmpty.style.display = assets.length ? 'none' : 'block';
+            mediaSummary.textContent = assets.length
+                ? `${visible.length} of ${assets.length} ${assets.length === 1 ? 'image' : 'images'}`
+                : '';
+
+            renderMediaGrid(mediaGrid, visible, () => `
+                <button type="button" class="btn btn-secondary btn-sm" data-media="markdown">Copy Markdown</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-media="url">Copy URL</button>
+                ${canDelete ? '<button type="button" class="btn btn-danger btn-sm" data-media="delete">Delete</button>' : ''}
+            `);
+        }
+
+        // Fetch and display images
+        async function loadMedia() {
+            try {
+                loadingState.style.display = 'block';
+                errorState.style.display = 'none';
+
+                assets = await fetchMediaAssets();
+
+                loadingState.style.display = 'none';
+                mediaContent.style.display = 'block';
+                renderAssets();
+            } catch (error) {
+                loadingState.style.display = 'none';
+                errorState.style.display = 'block';
+                errorState.querySelector('.error-message').textContent = error.message;
+            }
+        }
+
+        mediaSearch.addEventListener('input', renderAssets);
+
+        // Upload several files, two at a time
+        mediaUpload.addEventListener('change', async () => {
+            const files = Array.from(mediaUpload.files);
+            mediaUpload.value = '';
+            if (!files.length) return;
+
+            hideError('mediaError');
+            mediaSummary.textContent = `Uploading ${files.length} ${files.length === 1 ? 'image' : 'images'}...`;
+
+            const results = await runWithConcurrency(files, 2, uploadMediaFile);
+            const uploaded = results.filter(result => result.ok && result.value).map(result => result.value);
+            const failed = results.filter(result => !result.ok);
+
+            assets = [...uploaded, ...assets];
+            renderAssets();
+
+            if (uploaded.length) {
+                showSuccess('mediaMessage', `Uploaded ${uploaded.length} ${uploaded.length === 1 ? 'image' : 'images'}.`);
+            }
+            if (failed.length) {
+                showError('mediaError', failed.map(result => `${result.item.name}: ${result.error.message}`).join(' · '));
+            }
+        });
+
+        // Card actions
+        mediaGrid.addEventListener('click', async (e) => {
+            const action = e.target.closest('[data-media]');
+            if (!action) return;
+
+            const card = action.closest('.media-card');
+            const asset = assets.find(item => item.id === card.dataset.mediaId);
+            if (!asset) return;
+
+            if (action.dataset.media === 'delete') {
+                assetToDelete = asset;
+                document.getElementById('deleteMediaName').textContent = asset.name;
+                deleteMediaModal.style.display = 'flex';
+                return;
+            }
+
+            const text = action.dataset.media === 'markdown' ? getMarkdownImageSnippet(asset) : asset.url;
+            const label = action.textContent;
+            action.textContent = await copyText(text) ? 'Copied!' : 'Copy failed';
+            setTimeout(() => {
+                action.textContent = label;
+            }, 1500);
+        });
+
+        document.getElementById('cancelDeleteMediaBtn').addEventListener('click', () => {
+            deleteMediaModal.style.display = 'none';
+            assetToDelete = null;
+        });
+
+        confirmDeleteMediaBtn.addEventListener('click', async () => {
+            if (!assetToDelete) return;
+
+            confirmDeleteMediaBtn.disabled = true;
+            try {
+                await apiRequest(API_CONFIG.ENDPOINTS.MEDIA_BY_ID(assetToDelete.id), {
+                    method: 'DELETE'
+                });
+                assets = assets.filter(asset => asset !== assetToDelete);
+                renderAssets();
+                showSuccess('mediaMessage', `Deleted ${assetToDelete.name}.`);
+            } catch (error) {
+                showError('mediaError', error.message);
+            } finally {
+                confirmDeleteMediaBtn.disabled = false;
+                deleteMediaModal.style.display = 'none';
+                assetToDelete = null;
+            }
+        });
+
+        // Load images on page load
+        loadMedia();
+    })(); // End initMedia async function
+}
@@ -0,0 +1,304 @@
+/**
+ * Admin Panel Tests
+ * Run with: node --test admin/admin.test.js
+ * Loads an admin page and its scripts into jsdom with a mocked fetch,
+ * so these tests require jsdom (npm install --no-save jsdom)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    // Reported by loadPage() so a missing DOM fails the run instead of passing silently
+}
+
+const ROOT = path.join(__dirname, '..');
+const API = 'https://my-blog-backend-phi.vercel.app';
+
+/**
+ * Build an unsigned JWT that expires in an hour
+ */
+function makeToken(payload = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp, ...payload })}.signature`;
+}
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Load an admin page with the scripts it includes, signed in as the given user
+ * @param {string} page - e.g. 'media.html' or 'edit-post.html?id=p1'
+ * @param {object} options
+ * @param {object} options.user - returned by /api/auth/me
+ * @param {Function} [options.api] - answers other requests: (method, path, init) => Response
+ * @returns {{ window: Window, document: Document, calls: Array, close: Function }}
+ */
+function loadPage(page, { user, api = () => jsonResponse(404, { message: 'Not found' }) }) {
+    if (!JSDOM) {
+        throw new Error('admin page tests need jsdom: run `npm install --no-save jsdom` first');
+    }
+
+    const html = fs.readFileSync(path.join(__dirname, page.split(/[?#]/)[0]), 'utf8');
+    const dom = new JSDOM(html, { url: `https://blog.test/admin/${page}`, runScripts: 'outside-only' });
+    const { window } = dom;
+    const calls = [];
+
+    window.localStorage.setItem('blog_cms_token', makeToken({ id: user._id }));
+    window.fetch = async (url, init = {}) => {
+        const method = (init.method || 'GET').toUpperCase();
+        const route = String(url).replace(API, '');
+        calls.push({ method, path: route, init });
+        if (route === '/api/auth/me') return jsonResponse(200, { success: true, data: user });
+        return api(method, route, init);
+    };
+    const silent = () => {};
+    window.console = { ...console, log: silent, warn: silent, error: silent };
+
+    // Classic scripts share one global scope, so run them as scripts rather than eval()
+    const context = dom.getInternalVMContext();
+    Array.from(window.document.querySelectorAll('script[src]')).forEach(script => {
+        const file = path.join(__dirname, script.getAttribute('src'));
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: path.relative(ROOT, file) }).runInContext(context);
+    });
+
+    return { window, document: window.document, calls, close: () => window.close() };
+}
+
+/**
+ * Wait until check() returns something truthy (the page loads asynchronously)
+ */
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the page');
+}
+
+// ===== MEDIA LIBRARY =====
+
+const MEDIA = [
+    { _id: 'm1', url: '/uploads/cat.webp', originalName: 'cat.webp', size: 2048 },
+    { _id: 'm2', url: '/uploads/dog.webp', originalName: 'dog.webp', size: 4096 }
+];
+
+function loadMediaPage(role) {
+    return loadPage('media.html', {
+        user: { _id: 'u1', name: 'Sam', email: 'sam@example.com', role },
+        api: (method, route) => (route === '/api/media' ? jsonResponse(200, { data: MEDIA }) : jsonResponse(404, {}))
+    });
+}
+
+test('admins and editors get a delete button on every media card', async () => {
+    for (const role of ['admin', 'editor']) {
+        const page = loadMediaPage(role);
+        try {
+            const cards = await waitFor(() => page.document.querySelectorAll('.media-card').length && page.document.querySelectorAll('.media-card'));
+            assert.equal(cards.length, 2);
+            cards.forEach(card => {
+                assert.ok(card.querySelector('[data-media="delete"]'), `${role} should see Delete`);
+            });
+        } finally {
+            page.close();
+        }
+    }
+});
+
+test('authors and viewers get no media delete button', async () => {
+    for (const role of ['author', 'viewer']) {
+        const page = loadMediaPage(role);
+        try {
+            await waitFor(() => page.document.querySelectorAll('.media-card').length);
+            assert.equal(page.document.querySelector('[data-media="delete"]'), null, `${role} should not see Delete`);
+        } finally {
+            page.close();
+        }
+    }
+});
+
+test('media names with a stray % do not break the library', async () => {
+    const page = loadPage('media.html', {
+        user: { _id: 'u1', name: 'Sam', email: 'sam@example.com', role: 'admin' },
+        api: () => jsonResponse(200, { data: ['100%.png', 'caf%C3%A9.png'] })
+    });
+    try {
+        const names = await waitFor(() => {
+            const elements = page.document.querySelectorAll('.media-name');
+            return elements.length && Array.from(elements, element => element.textContent);
+        });
+        assert.deepEqual(names, ['100%.png', 'café.png']);
+        assert.equal(page.document.getElementById('errorState').style.display, 'none');
+    } finally {
+        page.close();
+    }
+});
+
+// ===== DASHBOARD BULK ACTIONS =====
+
+const POSTS = ['p1', 'p2', 'p3', 'p4'].map((id, index) => ({
+    _id: id,
+    title: `Post ${index + 1}`,
+    category: 'General',
+    published: true,
+    createdAt: `2026-01-0${index + 1}T00:00:00.000Z`
+}));
+
+function loadDashboard(role = 'admin') {
+    const page = loadPage('dashboard.html', {
+        user: { _id: 'u1', name: 'Sam', email: 'sam@example.com', role },
+        api: (method, route) => (method === 'GET' && route === '/api/posts'
+            ? jsonResponse(200, { data: POSTS })
+            : jsonResponse(200, { success: true }))
+    });
+    page.window.confirm = () => true;
+    return page;
+}
+
+// Rows are sorted newest first; compare ids in a fixed order
+const visibleIds = document => Array.from(document.querySelectorAll('.row-select'), box => box.dataset.id).sort();
+
+function selectRows(page, ids) {
+    ids.forEach(id => {
+        const box = page.document.querySelector(`.row-select[data-id="${id}"]`);
+        box.checked = true;
+        box.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    });
+}
+
+test('a pending bulk delete blocks a second batch until it is undone', async () => {
+    const page = loadDashboard();
+    try {
+        const { document } = page;
+        await waitFor(() => visibleIds(document).length === 4);
+        const bulkBar = document.getElementById('bulkBar');
+        const deleteButton = bulkBar.querySelector('[data-bulk="delete"]');
+
+        selectRows(page, ['p1', 'p2']);
+        deleteButton.click();
+        assert.deepEqual(visibleIds(document), ['p3', 'p4']);
+
+        // The bar stays hidden and ignores clicks while the first delete can be undone
+        selectRows(page, ['p3']);
+        assert.equal(bulkBar.style.display, 'none');
+        deleteButton.click();
+        assert.deepEqual(visibleIds(document), ['p3', 'p4']);
+
+        document.getElementById('bulkUndoBtn').click();
+        assert.deepEqual(visibleIds(document), ['p1', 'p2', 'p3', 'p4']);
+        assert.equal(page.calls.filter(call => call.method === 'DELETE').length, 0);
+    } finally {
+        page.close();
+    }
+});
+
+// ===== ROLES =====
+
+/**
+ * Dashboard sections shown to a role, once the signed-in user has been rendered
+ */
+async function visibleSections(role) {
+    const page = loadDashboard(role);
+    try {
+        const { document } = page;
+        await waitFor(() => document.querySelector('#currentUser .role-badge'));
+        return {
+            badge: document.querySelector('#currentUser .role-badge').textContent,
+            sections: Array.from(document.querySelectorAll('[data-requires]'))
+                .filter(element => element.style.display !== 'none')
+                .map(element => element.dataset.requires)
+        };
+    } finally {
+        page.close();
+    }
+}
+
+test('every role may change its own password', async () => {
+    for (const role of ['admin', 'editor', 'author', 'viewer']) {
+        const { sections } = await visibleSections(role);
+        assert.ok(sections.includes('change-password'), `${role} should see Change Password`);
+    }
+});
+
+test('a user without a role is treated as a viewer', async () => {
+    const { badge, sections } = await visibleSections(null);
+    assert.equal(badge, 'Viewer');
+    assert.deepEqual(sections, ['change-password']);
+});
+
+// ===== EDIT POST REVISIONS =====
+
+const SAVED_POST = {
+    _id: 'p1',
+    title: 'Saved title',
+    category: 'General',
+    content: 'Saved body',
+    author: { _id: 'u1', name: 'Sam' },
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z'
+};
+
+/**
+ * Open the edit page and submit it; the PUT (sent over XHR) answers with putStatus
+ */
+async function submitEdit(putStatus) {
+    const page = loadPage('edit-post.html?id=p1', {
+        user: { _id: 'u1', name: 'Sam', email: 'sam@example.com', role: 'admin' },
+        api: (method, route) => {
+            if (method === 'GET' && route === '/api/posts/p1') return jsonResponse(200, SAVED_POST);
+            if (method === 'GET' && route === '/api/posts/p1/revisions') return jsonResponse(200, { data: [] });
+            return jsonResponse(200, { success: true });
+        }
+    });
+    page.window.sendXhr = async (url, { method }) => {
+        page.calls.push({ method, path: url.replace(API, '') });
+        return { status: putStatus, text: JSON.stringify(putStatus === 200 ? { data: SAVED_POST } : { message: 'Rejected' }) };
+    };
+
+    const { document } = page;
+    const form = await waitFor(() => document.getElementById('editPostForm').style.display === 'block' && document.getElementById('editPostForm'));
+    document.getElementById('title').value = 'New title';
+    form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    await waitFor(() => page.calls.some(call => call.method === 'PUT'));
+    // Let the submit handler finish after the PUT settles
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return page;
+}
+
+const snapshotCalls = page => page.calls.filter(call => call.method === 'POST' && call.path === '/api/posts/p1/revisions');
+
+test('a successful update stores the replaced version after the PUT', async () => {
+    const page = await submitEdit(200);
+    try {
+        assert.equal(snapshotCalls(page).length, 1);
+        const order = page.calls.map(call => call.method + ' ' + call.path);
+        assert.ok(order.indexOf('PUT /api/posts/p1') < order.indexOf('POST /api/posts/p1/revisions'), order.join(', '));
+        assert.equal(JSON.parse(snapshotCalls(page)[0].init.body).title, 'Saved title');
+    } finally {
+        page.close();
+    }
+});
+
+test('a rejected or conflicting update stores no revision', async () => {
+    for (const status of [400, 412]) {
+        const page = await submitEdit(status);
+        try {
+            assert.equal(snapshotCalls(page).length, 0, `PUT answered ${status}`);
+        } finally {
+            page.close();
+        }
+    }
+});
@@ -0,0 +1,299 @@
+/**
+ * Auth Module
+ * Single source of truth for the admin session: token storage, JWT expiry,
+ * login/logout, token refresh and the current user
+ * Used by login.js (login.html) and admin.js (every other admin page)
+ */
+
+const Auth = (function () {
+    // localStorage key shared by every admin tab
+    const TOKEN_KEY = 'blog_cms_token';
+
+    let currentUser = null;
+    let refreshPromise = null;
+
+    // ===== TOKEN STORAGE =====
+
+    /**
+     * Get the stored JWT, or null when missing (or a stringified "undefined"/"null")
+     */
+    function getToken() {
+        const token = localStorage.getItem(TOKEN_KEY);
+        if (!token || token === 'undefined' || token === 'null') return null;
+        return token;
+    }
+
+    function setToken(token) {
+        localStorage.setItem(TOKEN_KEY, token);
+    }
+
+    function removeToken() {
+        localStorage.removeItem(TOKEN_KEY);
+        currentUser = null;
+    }
+
+    // ===== JWT EXPIRY =====
+
+    /**
+     * Decode JWT token without verification (client-side only)
+     * Returns the payload or null if invalid
+     */
+    function decodeJWT(token) {
+        try {
+            // JWT structure: header.payload.signature
+            const parts = String(token).split('.');
+            if (parts.length !== 3) {
+                console.error('❌ Invalid JWT format');
+                return null;
+            }
+
+            // Decode base64url encoded payload
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const jsonPayload = decodeURIComponent(
+                atob(base64)
+                    .split('')
+                    .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
+                    .join('')
+            );
+
+            return JSON.parse(jsonPayload);
+        } catch (error) {
+            console.error('❌ JWT decode error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get remaining time until the token expires (in milliseconds)
+     */
+    function getTokenRemainingTime(token = getToken()) {
+        const payload = token ? decodeJWT(token) : null;
+        if (!payload || !payload.exp) return 0;
+
+        // exp is in seconds, Date.now() is in milliseconds
+        return Math.max(0, payload.exp * 1000 - Date.now());
+    }
+
+    /**
+     * Check if the token is expired (tokens without an exp claim count as expired)
+     */
+    function isTokenExpired(token = getToken()) {
+        return getTokenRemainingTime(token) === 0;
+    }
+
+    /**
+     * Expiry state of the stored token
+     * @returns {{ hasToken: boolean, expired: boolean, remainingMs: number, expiresAt: Date|null }}
+     */
+    function getExpiryState() {
+        const token = getToken();
+        const remainingMs = getTokenRemainingTime(token);
+        return {
+            hasToken: !!token,
+            expired: remainingMs === 0,
+            remainingMs,
+            expiresAt: remainingMs ? new Date(Date.now() + remainingMs) : null
+        };
+    }
+
+    /**
+     * True when a token is stored and has not expired yet
+     */
+    function hasValidToken() {
+        return !!getToken() && !isTokenExpired();
+    }
+
+    /**
+     * Identify the user a token belongs to (claim names vary between backends)
+     */
+    function getTokenSubject(token = getToken()) {
+        const payload = token ? decodeJWT(token) : null;
+        if (!payload) return null;
+        return String(payload.id || payload._id || payload.userId || payload.sub || payload.email || '');
+    }
+
+    // ===== SERVER CALLS =====
+
+    /**
+     * Read a JSON body, tolerating empty or non-JSON error pages
+     */
+    async function readJson(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Backends return { token }, { data: { token } } or { accessToken }
+    function extractToken(data) {
+        return data.token || (data.data && data.data.token) || data.accessToken || null;
+    }
+
+    /**
+     * Log in with email and password and store the returned token
+     * @returns {Promise<{ token: string, user: object|null }>}
+     * @throws {Error} with a user-facing message
+     */
+    async function login(email, password) {
+        let response;
+        try {
+            response = await fetch(getApiUrl(API_CONFIG.ENDPOINTS.LOGIN), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ email, password })
+            });
+        } catch (error) {
+            throw new Error('Unable to connect to the server.');
+        }
+
+        const data = await readJson(response);
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Authentication failed. Please check your credentials.');
+        }
+
+        const token = extractToken(data);
+        if (!token) {
+            throw new Error('Token missing from server response.');
+        }
+
+        setToken(token);
+        currentUser = data.user || (data.data && data.data.user) || null;
+        console.log('🔑 Logged in, token stored');
+        return { token, user: currentUser };
+    }
+
+    /**
+     * Forget the session locally
+     */
+    function logout() {
+        removeToken();
+        console.log('✅ Token cleared from localStorage');
+    }
+
+    /**
+     * Verify token with backend /api/auth/me endpoint
+     * Returns user data if valid, null if invalid
+     */
+    async function verifyTokenWithBackend() {
+        const token = getToken();
+
+        if (!token) {
+            console.warn('⚠️ No token found in localStorage');
+            return null;
+        }
+
+        try {
+            console.log('🔐 Verifying token with backend...');
+
+            const response = await fetch(getApiUrl(API_CONFIG.ENDPOINTS.ME), {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            console.log('📥 Token verification response status:', response.status);
+
+            if (!response.ok) {
+                console.error('🚫 Token verification failed with status:', response.status);
+                removeToken();
+                return null;
+            }
+
+            const data = await readJson(response);
+
+            if (data.success && data.data) {
+                console.log('✅ Token verified successfully. User:', data.data.email);
+                currentUser = data.data;
+                return data.data;
+            }
+
+            console.error('🚫 Invalid response format from /api/auth/me');
+            removeToken();
+            return null;
+        } catch (error) {
+            console.error('❌ Token verification error:', error.message);
+            // Don't remove token on network error - might be temporary
+            return null;
+        }
+    }
+
+    /**
+     * The user returned by the last successful login or verifyTokenWithBackend()
+     */
+    function getCurrentUser() {
+        return currentUser;
+    }
+
+    /**
+     * Exchange the current token for a fresh one
+     * Concurrent callers share a single request
+     * @returns {Promise<boolean>} true if a new token was stored
+     */
+    function refreshToken() {
+        if (refreshPromise) return refreshPromise;
+
+        const token = getToken();
+        if (!token) return Promise.resolve(false);
+
+        refreshPromise = (async () => {
+            try {
+                console.log('🔄 Refreshing session token...');
+
+                const response = await fetch(getApiUrl(API_CONFIG.ENDPOINTS.REFRESH), {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                if (!response.ok) {
+                    console.warn('⚠️ Token refresh rejected with status:', response.status);
+                    return false;
+                }
+
+                const newToken = extractToken(await readJson(response));
+                if (!newToken) {
+                    console.error('🚫 Token missing from refresh response');
+                    return false;
+                }
+
+                setToken(newToken);
+                console.log('✅ Token refreshed');
+                return true;
+            } catch (error) {
+                console.error('❌ Token refresh error:', error.message);
+                return false;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+
+        return refreshPromise;
+    }
+
+    return {
+        TOKEN_KEY,
+        getToken,
+        setToken,
+        removeToken,
+        decodeJWT,
+        getTokenRemainingTime,
+        isTokenExpired,
+        getExpiryState,
+        hasValidToken,
+        getTokenSubject,
+        login,
+        logout,
+        verifyTokenWithBackend,
+        getCurrentUser,
+        refreshToken
+    };
+})();
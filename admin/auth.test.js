@@ -0,0 +1,308 @@
+/**
+ * Auth Module Tests
+ * Run with: node --test admin/auth.test.js
+ * Each test loads auth.js into a fresh vm context with a mocked fetch,
+ * an in-memory localStorage and a fixed clock
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, 'auth.js'), 'utf8');
+
+// Fixed "now" (in ms, on a whole second so exp boundaries are exact)
+const NOW = 1760000000000;
+
+const API_CONFIG = {
+    BASE_URL: 'https://api.test',
+    ENDPOINTS: { LOGIN: '/api/auth/login', ME: '/api/auth/me', REFRESH: '/api/auth/refresh' }
+};
+
+/**
+ * Build an unsigned JWT with the given payload
+ */
+function makeToken(payload) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => {
+            if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+            return body;
+        }
+    };
+}
+
+/**
+ * Load a fresh Auth module
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - called as fetch(url, init); defaults to failing the test
+ * @param {object} [options.storage] - initial localStorage contents
+ */
+function loadAuth(options = {}) {
+    const store = new Map(Object.entries(options.storage || {}));
+    const calls = [];
+    const fetchImpl = options.fetch || (() => assert.fail('fetch should not be called'));
+    const silent = () => {};
+
+    const sandbox = {
+        API_CONFIG,
+        getApiUrl: endpoint => `${API_CONFIG.BASE_URL}${endpoint}`,
+        localStorage: {
+            getItem: key => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: key => store.delete(key)
+        },
+        fetch: (url, init) => {
+            calls.push({ url, init });
+            return fetchImpl(url, init);
+        },
+        atob,
+        console: { log: silent, warn: silent, error: silent }
+    };
+
+    const context = vm.createContext(sandbox);
+    vm.runInContext(`Date.now = () => ${NOW};`, context);
+    const Auth = vm.runInContext(`${source}\nAuth;`, context);
+    return { Auth, store, calls };
+}
+
+/**
+ * Promise with its resolve function exposed, to hold a fetch in flight
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+// ===== decodeJWT =====
+
+test('decodeJWT returns the payload of a well-formed token', () => {
+    const { Auth } = loadAuth();
+    const payload = { id: 'u1', name: 'José Ñandú', exp: 123 };
+    assert.deepEqual({ ...Auth.decodeJWT(makeToken(payload)) }, payload);
+});
+
+test('decodeJWT returns null for malformed tokens', () => {
+    const { Auth } = loadAuth();
+    const notJson = Buffer.from('not json').toString('base64url');
+    for (const token of [
+        '',
+        'abc',
+        'a.b',
+        'a.b.c.d',
+        'a.!!!.c',
+        `a.${notJson}.c`,
+        null,
+        undefined
+    ]) {
+        assert.equal(Auth.decodeJWT(token), null, String(token));
+    }
+});
+
+// ===== EXPIRY =====
+
+test('isTokenExpired at the expiry boundaries', () => {
+    const { Auth } = loadAuth();
+    const at = seconds => makeToken({ exp: NOW / 1000 + seconds });
+
+    assert.equal(Auth.isTokenExpired(at(-1)), true);
+    assert.equal(Auth.isTokenExpired(at(0)), true);
+    assert.equal(Auth.isTokenExpired(at(1)), false);
+    assert.equal(Auth.getTokenRemainingTime(at(1)), 1000);
+    assert.equal(Auth.isTokenExpired(makeToken({ id: 'u1' })), true);
+    assert.equal(Auth.isTokenExpired('garbage'), true);
+    assert.equal(Auth.isTokenExpired(null), true);
+});
+
+test('getExpiryState without a stored token', () => {
+    for (const stored of [undefined, 'undefined', 'null']) {
+        const { Auth } = loadAuth({ storage: stored ? { blog_cms_token: stored } : {} });
+        assert.deepEqual({ ...Auth.getExpiryState() }, { hasToken: false, expired: true, remainingMs: 0, expiresAt: null });
+    }
+});
+
+test('getExpiryState at the expiry boundaries', () => {
+    const state = seconds => loadAuth({
+        storage: { blog_cms_token: makeToken({ exp: NOW / 1000 + seconds }) }
+    }).Auth.getExpiryState();
+
+    const past = state(-1);
+    assert.equal(past.hasToken, true);
+    assert.equal(past.expired, true);
+    assert.equal(past.expiresAt, null);
+
+    const now = state(0);
+    assert.equal(now.expired, true);
+    assert.equal(now.remainingMs, 0);
+
+    const future = state(60);
+    assert.equal(future.expired, false);
+    assert.equal(future.remainingMs, 60000);
+    assert.equal(future.expiresAt.getTime(), NOW + 60000);
+});
+
+// ===== login =====
+
+test('login stores the token and user on success', async () => {
+    const token = makeToken({ id: 'u1' });
+    const user = { id: 'u1', email: 'a@example.com' };
+    const { Auth, store, calls } = loadAuth({
+        fetch: async () => jsonResponse(200, { data: { token, user } })
+    });
+
+    const result = await Auth.login('a@example.com', 'secret');
+
+    assert.equal(result.token, token);
+    assert.deepEqual(result.user, user);
+    assert.equal(store.get('blog_cms_token'), token);
+    assert.deepEqual(Auth.getCurrentUser(), user);
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, 'https://api.test/api/auth/login');
+    assert.equal(calls[0].init.method, 'POST');
+    assert.deepEqual(JSON.parse(calls[0].init.body), { email: 'a@example.com', password: 'secret' });
+});
+
+test('login accepts token and accessToken response shapes', async () => {
+    for (const body of [{ token: 't1' }, { accessToken: 't1' }]) {
+        const { Auth, store } = loadAuth({ fetch: async () => jsonResponse(200, body) });
+        await Auth.login('a@example.com', 'secret');
+        assert.equal(store.get('blog_cms_token'), 't1');
+    }
+});
+
+test('login surfaces the server message on failure', async () => {
+    const { Auth, store } = loadAuth({
+        fetch: async () => jsonResponse(401, { message: 'Invalid credentials' })
+    });
+    await assert.rejects(Auth.login('a@example.com', 'wrong'), { message: 'Invalid credentials' });
+    assert.equal(store.has('blog_cms_token'), false);
+});
+
+test('login falls back to a generic message for non-JSON errors', async () => {
+    const { Auth } = loadAuth({ fetch: async () => jsonResponse(500) });
+    await assert.rejects(Auth.login('a@example.com', 'secret'), { message: 'Authentication failed. Please check your credentials.' });
+});
+
+test('login rejects a response without a token', async () => {
+    const { Auth, store } = loadAuth({ fetch: async () => jsonResponse(200, { success: true }) });
+    await assert.rejects(Auth.login('a@example.com', 'secret'), { message: 'Token missing from server response.' });
+    assert.equal(store.has('blog_cms_token'), false);
+});
+
+test('login reports network errors', async () => {
+    const { Auth } = loadAuth({ fetch: async () => { throw new TypeError('Failed to fetch'); } });
+    await assert.rejects(Auth.login('a@example.com', 'secret'), { message: 'Unable to connect to the server.' });
+});
+
+// ===== refreshToken =====
+
+test('refreshToken stores the new token on success', async () => {
+    const oldToken = makeToken({ id: 'u1', exp: 1 });
+    const { Auth, store, calls } = loadAuth({
+        storage: { blog_cms_token: oldToken },
+        fetch: async () => jsonResponse(200, { token: 'fresh' })
+    });
+
+    assert.equal(await Auth.refreshToken(), true);
+    assert.equal(store.get('blog_cms_token'), 'fresh');
+    assert.equal(calls[0].url, 'https://api.test/api/auth/refresh');
+    assert.equal(calls[0].init.headers.Authorization, `Bearer ${oldToken}`);
+});
+
+test('refreshToken keeps the old token when the server refuses', async () => {
+    for (const response of [jsonResponse(401, { message: 'expired' }), jsonResponse(200, {})]) {
+        const { Auth, store } = loadAuth({
+            storage: { blog_cms_token: 'old' },
+            fetch: async () => response
+        });
+        assert.equal(await Auth.refreshToken(), false);
+        assert.equal(store.get('blog_cms_token'), 'old');
+    }
+});
+
+test('refreshToken resolves false on network errors and without a token', async () => {
+    const offline = loadAuth({
+        storage: { blog_cms_token: 'old' },
+        fetch: async () => { throw new TypeError('Failed to fetch'); }
+    });
+    assert.equal(await offline.Auth.refreshToken(), false);
+    assert.equal(offline.store.get('blog_cms_token'), 'old');
+
+    const signedOut = loadAuth();
+    assert.equal(await signedOut.Auth.refreshToken(), false);
+});
+
+test('concurrent refreshToken calls share one request', async () => {
+    const pending = deferred();
+    const { Auth, store, calls } = loadAuth({
+        storage: { blog_cms_token: 'old' },
+        fetch: () => pending.promise
+    });
+
+    const first = Auth.refreshToken();
+    const second = Auth.refreshToken();
+    assert.equal(first, second);
+    assert.equal(calls.length, 1);
+
+    pending.resolve(jsonResponse(200, { token: 'fresh' }));
+    assert.deepEqual(await Promise.all([first, second]), [true, true]);
+    assert.equal(store.get('blog_cms_token'), 'fresh');
+
+    // Once settled, the next call starts a new request with the new token
+    const next = Auth.refreshToken();
+    assert.notEqual(next, first);
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].init.headers.Authorization, 'Bearer fresh');
+    await next;
+});
+
+// ===== verifyTokenWithBackend =====
+
+test('verifyTokenWithBackend returns the user for a valid token', async () => {
+    const user = { id: 'u1', email: 'a@example.com' };
+    const { Auth, calls } = loadAuth({
+        storage: { blog_cms_token: 'tok' },
+        fetch: async () => jsonResponse(200, { success: true, data: user })
+    });
+
+    assert.deepEqual(await Auth.verifyTokenWithBackend(), user);
+    assert.deepEqual(Auth.getCurrentUser(), user);
+    assert.equal(calls[0].url, 'https://api.test/api/auth/me');
+    assert.equal(calls[0].init.headers.Authorization, 'Bearer tok');
+});
+
+test('verifyTokenWithBackend clears the token when it is rejected', async () => {
+    for (const response of [jsonResponse(401, { message: 'expired' }), jsonResponse(200, { success: false })]) {
+        const { Auth, store } = loadAuth({
+            storage: { blog_cms_token: 'tok' },
+            fetch: async () => response
+        });
+        assert.equal(await Auth.verifyTokenWithBackend(), null);
+        assert.equal(store.has('blog_cms_token'), false);
+    }
+});
+
+test('verifyTokenWithBackend keeps the token on network errors', async () => {
+    const { Auth, store } = loadAuth({
+        storage: { blog_cms_token: 'tok' },
+        fetch: async () => { throw new TypeError('Failed to fetch'); }
+    });
+    assert.equal(await Auth.verifyTokenWithBackend(), null);
+    assert.equal(store.get('blog_cms_token'), 'tok');
+});
+
+test('verifyTokenWithBackend skips the request without a token', async () => {
+    const { Auth, calls } = loadAuth();
+    assert.equal(await Auth.verifyTokenWithBackend(), null);
+    assert.equal(calls.length, 0);
+});
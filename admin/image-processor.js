@@ -0,0 +1,222 @@
+/**
+ * Image Processor
+ * Canvas pipeline run before images are uploaded: checks the file really is an
+ * image, applies EXIF orientation, crops, downscales and re-encodes to WebP/JPEG
+ * Re-encoding through a canvas drops EXIF and other metadata (GPS, camera, etc.)
+ * Used by admin.js for featured images and media library uploads
+ */
+
+const ImageProcessor = (function () {
+    const DEFAULTS = Object.freeze({
+        maxWidth: 1920,
+        maxHeight: 1920,
+        type: 'image/webp',
+        quality: 0.82
+    });
+
+    // Raster formats the pipeline accepts; SVG is refused since it can carry scripts
+    const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/bmp'];
+
+    // Animated GIFs would be flattened to one frame, so they are uploaded untouched
+    const PASSTHROUGH_TYPES = ['image/gif'];
+
+    // Formats whose original is uploaded when re-encoding only makes it bigger;
+    // JPEGs are re-encoded regardless because they usually carry EXIF (GPS, camera)
+    const KEEP_SMALLER_ORIGINAL_TYPES = ['image/png', 'image/webp'];
+
+    const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+    let webpSupported = null;
+
+    /**
+     * Detect the real format from the file's first bytes (the browser's MIME type
+     * comes from the extension, so a renamed file would pass a type check alone)
+     */
+    async function sniffType(file) {
+        const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+        const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+        if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+        if (ascii(0, 4) === 'GIF8') return 'image/gif';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+        if (ascii(4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 12))) return 'image/avif';
+        if (ascii(0, 2) === 'BM') return 'image/bmp';
+        return null;
+    }
+
+    /**
+     * Reject anything that isn't a supported raster image
+     * @returns {Promise<string>} the detected MIME type
+     * @throws {Error} with a user-facing message
+     */
+    async function validate(file) {
+        if (!file || !ACCEPTED_TYPES.includes(file.type)) {
+            throw new Error(`${file ? file.name : 'File'} is not a supported image (JPEG, PNG, WebP, GIF, AVIF or BMP).`);
+        }
+
+        const detected = await sniffType(file);
+        if (!detected) {
+            throw new Error(`${file.name} does not contain image data.`);
+        }
+        return detected;
+    }
+
+    function supportsWebp() {
+        if (webpSupported === null) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+        }
+        return webpSupported;
+    }
+
+    /**
+     * Decode a file with its EXIF orientation applied
+     * @returns {Promise<{ source: CanvasImageSource, width: number, height: number, close: Function }>}
+     */
+    async function loadImage(file) {
+        if (window.createImageBitmap) {
+            try {
+                const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+                return { source: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+            } catch (error) {
+                // Older engines reject the options bag; fall back to <img>
+            }
+        }
+
+        // <img> honours EXIF orientation by default (image-orientation: from-image)
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.src = url;
+        try {
+            await image.decode();
+        } catch (error) {
+            URL.revokeObjectURL(url);
+            throw new Error(`${file.name} could not be decoded as an image.`);
+        }
+        return {
+            source: image,
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+            close: () => URL.revokeObjectURL(url)
+        };
+    }
+
+    function canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('The browser could not encode the image.'));
+            }, type, quality);
+        });
+    }
+
+    /**
+     * Largest centred crop with the given aspect ratio, in source pixels
+     */
+    function centeredCrop(width, height, ratio) {
+        if (!ratio) return { x: 0, y: 0, width, height };
+        const cropWidth = Math.min(width, height * ratio);
+        const cropHeight = cropWidth / ratio;
+        return {
+            x: (width - cropWidth) / 2,
+            y: (height - cropHeight) / 2,
+            width: cropWidth,
+            height: cropHeight
+        };
+    }
+
+    /**
+     * Validate, crop, downscale and re-encode an image
+     * @param {File} file
+     * @param {object} [options]
+     * @param {number} [options.maxWidth]
+     * @param {number} [options.maxHeight]
+     * @param {string} [options.type] - 'image/webp' or 'image/jpeg' (WebP falls back to JPEG when unsupported)
+     * @param {number} [options.quality] - 0..1
+     * @param {{x: number, y: number, width: number, height: number}} [options.crop] - fractions (0..1) of the oriented image
+     * @returns {Promise<{ file: File, width: number, height: number, originalSize: number, originalWidth: number, originalHeight: number, processed: boolean, reason?: string }>}
+     *   processed is false when the original is uploaded; reason is 'animated' or 'original-smaller'
+     *   reason 'larger-without-metadata' marks a JPEG that grew but was still re-encoded to drop EXIF
+     */
+    async function process(file, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const detected = await validate(file);
+
+        if (PASSTHROUGH_TYPES.includes(detected)) {
+            const { width, height, close } = await loadImage(file);
+            close();
+            return { file, width, height, originalSize: file.size, originalWidth: width, originalHeight: height, processed: false, reason: 'animated' };
+        }
+
+        const image = await loadImage(file);
+        try {
+            const crop = settings.crop || { x: 0, y: 0, width: 1, height: 1 };
+            const sx = Math.round(crop.x * image.width);
+            const sy = Math.round(crop.y * image.height);
+            const sw = Math.max(1, Math.round(crop.width * image.width));
+            const sh = Math.max(1, Math.round(crop.height * image.height));
+
+            // Only ever scale down
+            const scale = Math.min(1, settings.maxWidth / sw, settings.maxHeight / sh);
+            const width = Math.max(1, Math.round(sw * scale));
+            const height = Math.max(1, Math.round(sh * scale));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+
+            const type = settings.type === 'image/webp' && !supportsWebp() ? 'image/jpeg' : settings.type;
+            if (type === 'image/jpeg') {
+                // JPEG has no alpha channel: paint transparency white instead of black
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, width, height);
+            }
+            context.imageSmoothingEnabled = true;
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(image.source, sx, sy, sw, sh, 0, 0, width, height);
+
+            const blob = await canvasToBlob(canvas, type, settings.quality);
+            const untouched = sx === 0 && sy === 0 && sw === image.width && sh === image.height && scale === 1;
+            const original = {
+                originalSize: file.size,
+                originalWidth: image.width,
+                originalHeight: image.height
+            };
+
+            if (untouched && blob.size >= file.size && KEEP_SMALLER_ORIGINAL_TYPES.includes(detected)) {
+                return { file, width: image.width, height: image.height, ...original, processed: false, reason: 'original-smaller' };
+            }
+
+            const baseName = file.name.replace(/\.[^.]+$/, '') || 'image';
+            const output = new File([blob], `${baseName}.${EXTENSIONS[type] || 'img'}`, {
+                type,
+                lastModified: Date.now()
+            });
+
+            return {
+                file: output,
+                width,
+                height,
+                ...original,
+                processed: true,
+                reason: untouched && blob.size >= file.size ? 'larger-without-metadata' : undefined
+            };
+        } finally {
+            image.close();
+        }
+    }
+
+    return {
+        DEFAULTS,
+        ACCEPTED_TYPES,
+        validate,
+        supportsWebp,
+        loadImage,
+        centeredCrop,
+        process
+    };
+})();
@@ -8,9 +8,9 @@
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🛡️ Login Engine Initialized');
 
-    // Safety Audit: Ensure config.js loaded correctly
-    if (typeof API_CONFIG === 'undefined' || typeof getApiUrl === 'undefined') {
-        console.error('❌ Critical Error: config.js not found or failed to load.');
+    // Safety Audit: Ensure config.js and auth.js loaded correctly
+    if (typeof API_CONFIG === 'undefined' || typeof getApiUrl === 'undefined' || typeof Auth === 'undefined') {
+        console.error('❌ Critical Error: config.js or auth.js not found or failed to load.');
         alert('Site configuration error. Please refresh the page or contact the administrator.');
         return;
     }
@@ -21,11 +21,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (!loginForm) return;
 
-    // Check if already logged in
-    if (localStorage.getItem('blog_cms_token')) {
-        console.log('✅ Token found, redirecting to dashboard...');
+    // Check if already logged in (an expired token is cleared instead of looping via the dashboard)
+    if (Auth.hasValidToken()) {
+        console.log('✅ Valid token found, redirecting to dashboard...');
         window.location.replace('dashboard.html');
+        return;
     }
+    Auth.removeToken();
+
+    // Follow a login completed in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === Auth.TOKEN_KEY && Auth.hasValidToken()) {
+            window.location.replace('dashboard.html');
+        }
+    });
 
     loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -48,39 +57,11 @@ document.addEventListener('DOMContentLoaded', () => {
         toggleLoading(true);
 
         try {
-            const apiUrl = getApiUrl(API_CONFIG.ENDPOINTS.LOGIN);
-            console.log('📡 Calling API:', apiUrl);
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({ email, password })
-            });
-
-            console.log('📥 Response status:', response.status);
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || 'Authentication failed. Please check your credentials.');
-            }
-
-            // Extract token from data or data.data
-            const token = data.token || (data.data && data.data.token);
-
-            if (token) {
-                console.log('🔑 Token received, storing in localStorage...');
-                localStorage.setItem('blog_cms_token', token);
-
-                console.log('🎯 Redirecting to dashboard.html...');
-                // Use replace for a clean history state on GitHub Pages
-                window.location.replace('dashboard.html');
-            } else {
-                throw new Error('Token missing from server response.');
-            }
+            await Auth.login(email, password);
 
+            console.log('🎯 Redirecting to dashboard.html...');
+            // Use replace for a clean history state on GitHub Pages
+            window.location.replace('dashboard.html');
         } catch (error) {
             console.error('❌ Login Error:', error);
             showNotify(error.message || 'Unable to connect to the server.', 'error');
@@ -5,6 +5,8 @@
 
 // ===== UTILITY FUNCTIONS =====
 
+const DEFAULT_POST_IMAGE = 'https://images.unsplash.com/photo-1499750310107-5fef28a66643?q=80&w=2070&auto=format&fit=crop';
+
 /**
  * Format date to readable string
  */
@@ -25,11 +27,21 @@ function truncateText(text, maxLength) {
  * Get excerpt from content
  */
 function getExcerpt(content, maxLength = 150) {
-    // Remove extra whitespace and newlines
-    const cleanContent = content.replace(/\s+/g, ' ').trim();
+    // Strip Markdown syntax and collapse whitespace
+    const cleanContent = Markdown.toPlainText(content);
     return truncateText(cleanContent, maxLength);
 }
 
+/**
+ * Count words and estimate reading time for Markdown content
+ * @returns {{ words: number, minutes: number }}
+ */
+function getReadingStats(content) {
+    const WORDS_PER_MINUTE = 200;
+    const words = (Markdown.toPlainText(content || '').match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+    return { words, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
+
 /**
  * Get query parameter from URL
  */
@@ -39,42 +51,571 @@ function getQueryParam(param) {
 }
 
 /**
- * Format content with proper paragraph breaks and rich text elements
+ * Get a post's tags as an array (the API may send an array or a comma-separated string)
+ */
+function getPostTags(post) {
+    const tags = Array.isArray(post.tags) ? post.tags : String(post.tags || '').split(',');
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Compare category/tag labels case-insensitively
+ */
+function isSameLabel(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Resolve a post image path to a safe absolute URL (falls back to the placeholder)
+ */
+function resolveImageUrl(image) {
+    if (!image) return DEFAULT_POST_IMAGE;
+    const imageUrl = image.startsWith('http') ? image : `${API_CONFIG.BASE_URL}${image}`;
+    return Sanitizer.safeUrl(imageUrl);
+}
+
+/**
+ * Render Markdown post content to HTML (see ../markdown.js)
+ * The admin editor preview renders with the same Markdown.POST_OPTIONS
  */
 function formatContent(content) {
-    // Split content by double newlines to create paragraphs
-    const paragraphs = content.split('\n\n').filter(p => p.trim());
-
-    return paragraphs
-        .map(paragraph => {
-            // Check for Headings
-            if (paragraph.startsWith('#')) {
-                const match = paragraph.match(/^(#+)\s*(.*)/);
-                if (match) {
-                    const level = match[1].length;
-                    const text = match[2];
-                    return `<h${Math.min(level + 1, 6)}>${text}</h${Math.min(level + 1, 6)}>`;
-                }
+    return Sanitizer.sanitizeHtml(Markdown.render(content, Markdown.POST_OPTIONS));
+}
+
+// ===== POSTS API =====
+
+/**
+ * Scheduled posts stay hidden until their publishAt time, even if the API returns them
+ */
+function isPublicPost(post) {
+    return !!post && (!post.publishAt || new Date(post.publishAt) <= new Date());
+}
+
+// Most pages walked in one go, in case the API keeps reporting more posts
+const MAX_POST_PAGES = 50;
+
+/**
+ * Key used to recognise a post across pages
+ */
+function getPostKey(post) {
+    return String(post._id || post.slug);
+}
+
+/**
+ * Fetch one page of posts
+ * Supports { pagination: { page, totalPages } }, { totalPages } and { hasMore } responses;
+ * a backend that ignores page/limit is treated as a single page
+ * ids covers the whole page, scheduled posts included, so a page holding only
+ * scheduled posts doesn't look like the end of the list
+ */
+async function fetchPostsPage(page, limit) {
+    const query = new URLSearchParams({ page, limit });
+    const response = await fetch(`${getApiUrl(API_CONFIG.ENDPOINTS.POSTS)}?${query}`);
+
+    if (!response.ok) {
+        throw new Error('Failed to load posts');
+    }
+
+    const data = await response.json();
+
+    // Handle both response formats: data.posts or data.data
+    const pagePosts = data.posts || data.data || [];
+    const posts = pagePosts.filter(isPublicPost);
+    const pagination = data.pagination || data;
+
+    let hasMore;
+    if (typeof pagination.hasMore === 'boolean') {
+        hasMore = pagination.hasMore;
+    } else if (pagination.totalPages) {
+        hasMore = page < pagination.totalPages;
+    } else if (pagination.total) {
+        hasMore = page * limit < pagination.total;
+    } else {
+        hasMore = pagePosts.length === limit;
+    }
+
+    // More posts than requested means pagination isn't supported: everything is here
+    if (pagePosts.length > limit) {
+        hasMore = false;
+    }
+
+    return { posts, hasMore, ids: pagePosts.map(getPostKey) };
+}
+
+/**
+ * Fetch one page, keeping only posts not in seenIds (which is updated)
+ * A page without unseen posts ends the list: the backend is ignoring page/limit
+ * and sending the same posts again, or has run out
+ */
+async function fetchUnseenPostsPage(page, limit, seenIds) {
+    const result = await fetchPostsPage(page, limit);
+    const unseen = new Set(result.ids.filter(id => !seenIds.has(id)));
+    unseen.forEach(id => seenIds.add(id));
+
+    return {
+        posts: result.posts.filter(post => unseen.has(getPostKey(post))),
+        hasMore: result.hasMore && unseen.size > 0
+    };
+}
+
+/**
+ * Fetch from `page` onwards until a page has public posts (or the list ends)
+ * @param {Set<string>} seenIds - keys of posts already fetched for this list
+ * @returns {Promise<{ posts: Array, hasMore: boolean, page: number }>} page is the last page fetched
+ */
+async function fetchNextPublicPage(page, limit, seenIds) {
+    const lastPage = page + MAX_POST_PAGES - 1;
+    let result = await fetchUnseenPostsPage(page, limit, seenIds);
+    while (!result.posts.length && result.hasMore && page < lastPage) {
+        page++;
+        result = await fetchUnseenPostsPage(page, limit, seenIds);
+    }
+    return { posts: result.posts, hasMore: result.hasMore, page };
+}
+
+/**
+ * Fetch every post by walking all pages (at most MAX_POST_PAGES)
+ */
+async function fetchAllPosts(pageSize = 100) {
+    const seenIds = new Set();
+    const posts = [];
+    let hasMore = true;
+
+    for (let page = 1; hasMore && page <= MAX_POST_PAGES; page++) {
+        const result = await fetchUnseenPostsPage(page, pageSize, seenIds);
+        posts.push(...result.posts);
+        hasMore = result.hasMore;
+    }
+
+    return posts;
+}
+
+// ===== POST CARDS =====
+
+/**
+ * Create post card element
+ * options.titleHtml / options.excerptHtml replace the escaped title and excerpt
+ * (search results pass pre-escaped, highlighted HTML)
+ */
+function createPostCard(post, options = {}) {
+    const card = document.createElement('article');
+    const postUrl = `post.html?slug=${encodeURIComponent(post.slug || post._id)}`;
+    card.className = 'post-card';
+    card.onclick = (e) => {
+        // The category chip and "Read More" are real links; let them navigate themselves
+        if (e.target.closest('.post-card-category, .post-card-link')) return;
+        window.location.href = postUrl;
+    };
+
+    const imageUrl = resolveImageUrl(post.image);
+    const escape = Sanitizer.escapeHtml;
+    const { minutes } = getReadingStats(post.content);
+
+    card.innerHTML = `
+        <img src="${escape(imageUrl)}" alt="${escape(post.title)}" class="post-card-image">
+        <div class="post-card-content">
+            <a href="posts.html?category=${encodeURIComponent(post.category || '')}" class="post-card-category">${escape(post.category)}</a>
+            <h2 class="post-card-title">${options.titleHtml || escape(post.title)}</h2>
+            <p class="post-card-excerpt">${options.excerptHtml || escape(getExcerpt(post.content))}</p>
+            <div class="post-card-footer">
+                <span class="post-card-date">${escape(formatDate(post.createdAt || post.date))} · ${minutes} min read</span>
+                <a href="${escape(postUrl)}" class="post-card-link">Read More →</a>
+            </div>
+        </div>
+    `;
+
+    return card;
+}
+
+// ===== SEARCH =====
+
+/**
+ * Lowercase text and strip accents so "Café" matches "cafe"
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized search terms
+ */
+function tokenize(text) {
+    return normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance (with transpositions) between two terms, giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
             }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Wrap words whose normalized form is in `terms` with <mark>; everything else is escaped
+ */
+function highlightTerms(text, terms) {
+    const escape = Sanitizer.escapeHtml;
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let html = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = wordPattern.exec(text))) {
+        if (terms.has(normalizeSearchText(match[0]))) {
+            html += escape(text.slice(lastIndex, match.index)) + `<mark>${escape(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+    }
+
+    return html + escape(text.slice(lastIndex));
+}
+
+/**
+ * Build an excerpt centred on the first matching word
+ */
+function getMatchExcerpt(text, terms, maxLength = 150) {
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let start = 0;
+    let match;
+
+    while ((match = wordPattern.exec(text))) {
+        if (terms.has(normalizeSearchText(match[0]))) {
+            start = Math.max(0, match.index - 40);
+            break;
+        }
+    }
+
+    // Start on a word boundary
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space === -1 ? start : space + 1;
+    }
+
+    const excerpt = text.substr(start, maxLength);
+    return (start > 0 ? '...' : '') + excerpt + (start + maxLength < text.length ? '...' : '');
+}
+
+/**
+ * Build a client-side inverted index over post title, category, tags and content
+ * Returns { search(query) } giving ranked results with highlighted title/excerpt HTML
+ */
+function createSearchIndex(posts) {
+    const FIELD_WEIGHTS = { title: 5, category: 3, tags: 3, content: 1 };
+    const index = new Map(); // term -> Map(docId -> weighted frequency)
+
+    const docs = posts.map((post, docId) => {
+        const plainContent = Markdown.toPlainText(post.content || '');
+        const fields = {
+            title: post.title,
+            category: post.category,
+            tags: getPostTags(post).join(' '),
+            content: plainContent
+        };
 
-            // Check for Blockquotes
-            if (paragraph.startsWith('>')) {
-                const text = paragraph.replace(/^>\s*/, '');
-                return `<blockquote>${text}</blockquote>`;
+        Object.keys(fields).forEach(field => {
+            tokenize(fields[field]).forEach(term => {
+                if (!index.has(term)) index.set(term, new Map());
+                const postings = index.get(term);
+                postings.set(docId, (postings.get(docId) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+
+        return { post, plainContent };
+    });
+
+    const vocabulary = Array.from(index.keys());
+
+    /**
+     * Find indexed terms matching a query token: exact, prefix, then typo-tolerant
+     */
+    function expandToken(token) {
+        const matches = [];
+        const maxTypos = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+
+        vocabulary.forEach(term => {
+            if (term === token) {
+                matches.push({ term, quality: 1 });
+            } else if (token.length >= 2 && term.startsWith(token)) {
+                matches.push({ term, quality: 0.7 });
+            } else if (maxTypos && editDistance(token, term, maxTypos) <= maxTypos) {
+                matches.push({ term, quality: 0.4 });
             }
+        });
+
+        return matches;
+    }
 
-            // Check for Code Blocks
-            if (paragraph.startsWith('```')) {
-                const text = paragraph.replace(/```/g, '').trim();
-                return `<pre><code>${text}</code></pre>`;
+    function search(query) {
+        const tokens = Array.from(new Set(tokenize(query)));
+        if (tokens.length === 0) return [];
+
+        const matchedTerms = new Set();
+        let scores = null;
+
+        // Every query token has to match (AND); scores add up across tokens
+        tokens.forEach(token => {
+            const tokenScores = new Map();
+
+            expandToken(token).forEach(({ term, quality }) => {
+                const postings = index.get(term);
+                const idf = Math.log(1 + docs.length / postings.size);
+                matchedTerms.add(term);
+
+                postings.forEach((weight, docId) => {
+                    const score = quality * idf * (1 + Math.log(weight));
+                    tokenScores.set(docId, Math.max(tokenScores.get(docId) || 0, score));
+                });
+            });
+
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, docId) => {
+                    if (tokenScores.has(docId)) combined.set(docId, score + tokenScores.get(docId));
+                });
+                scores = combined;
             }
+        });
+
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([docId, score]) => {
+                const { post, plainContent } = docs[docId];
+                return {
+                    post,
+                    score,
+                    titleHtml: highlightTerms(post.title || '', matchedTerms),
+                    excerptHtml: highlightTerms(getMatchExcerpt(plainContent, matchedTerms), matchedTerms)
+                };
+            });
+    }
+
+    return { search };
+}
+
+// ===== RELATED POSTS =====
+
+// Common words ignored when comparing post content
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way',
+    'who', 'did', 'get', 'let', 'she', 'too', 'use', 'that', 'with', 'this', 'from', 'they', 'will',
+    'would', 'there', 'their', 'what', 'about', 'which', 'when', 'make', 'like', 'than', 'then', 'them',
+    'these', 'some', 'into', 'your', 'just', 'more', 'also', 'been', 'were', 'each', 'only', 'very'
+]);
+
+/**
+ * Check whether two post objects refer to the same post
+ */
+function isSamePost(a, b) {
+    return (a._id && a._id === b._id) || (a.slug && a.slug === b.slug);
+}
+
+/**
+ * Count meaningful terms in a post (title counts double)
+ */
+function getTermVector(post) {
+    const vector = new Map();
+    const text = `${post.title || ''} ${post.title || ''} ${Markdown.toPlainText(post.content || '')}`;
 
-            // Regular paragraph
-            return `<p>${paragraph.replace(/\n/g, '<br>')}</p>`;
+    tokenize(text).forEach(term => {
+        if (term.length < 3 || STOP_WORDS.has(term)) return;
+        vector.set(term, (vector.get(term) || 0) + 1);
+    });
+
+    return vector;
+}
+
+/**
+ * Cosine similarity between two term vectors (0 to 1)
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    a.forEach((count, term) => {
+        normA += count * count;
+        if (b.has(term)) dot += count * b.get(term);
+    });
+    b.forEach(count => {
+        normB += count * count;
+    });
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank other posts by shared category, shared tags and content similarity
+ */
+function findRelatedPosts(post, posts, limit = 3) {
+    const postTags = getPostTags(post);
+    const postVector = getTermVector(post);
+
+    return posts
+        .filter(candidate => !isSamePost(candidate, post))
+        .map(candidate => {
+            const sharedTags = getPostTags(candidate)
+                .filter(tag => postTags.some(postTag => isSameLabel(tag, postTag))).length;
+
+            let score = cosineSimilarity(postVector, getTermVector(candidate)) * 5;
+            if (isSameLabel(candidate.category, post.category)) score += 3;
+            score += sharedTags * 2;
+
+            return { post: candidate, score };
         })
+        .filter(result => result.score > 0.25)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(result => result.post);
+}
+
+/**
+ * Find the chronologically previous (older) and next (newer) posts
+ */
+function findAdjacentPosts(post, posts) {
+    const getTime = p => new Date(p.createdAt || p.date).getTime() || 0;
+    const sorted = posts.slice().sort((a, b) => getTime(a) - getTime(b));
+    const index = sorted.findIndex(p => isSamePost(p, post));
+
+    if (index === -1) return { previous: null, next: null };
+
+    return {
+        previous: index > 0 ? sorted[index - 1] : null,
+        next: index < sorted.length - 1 ? sorted[index + 1] : null
+    };
+}
+
+// ===== TABLE OF CONTENTS =====
+
+/**
+ * Turn heading text into a URL fragment ("Hello, World!" -> "hello-world")
+ */
+function slugify(text) {
+    const slug = normalizeSearchText(text)
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .trim()
+        .replace(/[\s-]+/g, '-');
+    return slug || 'section';
+}
+
+/**
+ * Give every heading in the container a unique id and a hover anchor link
+ * Returns [{ id, text, level }] in document order
+ */
+function addHeadingAnchors(container) {
+    const usedIds = new Set();
+    const headings = [];
+
+    container.querySelectorAll('h2, h3, h4, h5, h6').forEach(heading => {
+        const text = heading.textContent.trim();
+        const base = slugify(text);
+        let id = base;
+        let suffix = 1;
+
+        // De-duplicate within the post and against ids already on the page
+        while (usedIds.has(id) || (document.getElementById(id) && document.getElementById(id) !== heading)) {
+            id = `${base}-${suffix++}`;
+        }
+        usedIds.add(id);
+        heading.id = id;
+
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${encodeURIComponent(id)}`;
+        anchor.setAttribute('aria-label', `Link to "${text}"`);
+        anchor.textContent = '#';
+        heading.appendChild(anchor);
+
+        headings.push({ id, text, level: Number(heading.tagName[1]), element: heading });
+    });
+
+    return headings;
+}
+
+/**
+ * Render the table of contents links (h2-h4) into the TOC sidebar
+ */
+function buildTableOfContents(headings, tocList) {
+    const escape = Sanitizer.escapeHtml;
+    tocList.innerHTML = headings
+        .filter(heading => heading.level <= 4)
+        .map(heading => `
+            <a href="#${escape(encodeURIComponent(heading.id))}" class="toc-link toc-level-${heading.level}" data-target="${escape(heading.id)}">${escape(heading.text)}</a>
+        `)
         .join('');
 }
 
+/**
+ * Highlight the TOC link for the section currently being read
+ */
+function setupScrollSpy(headings, tocList) {
+    const OFFSET = 120; // fixed navbar height plus breathing room
+    let ticking = false;
+
+    const update = () => {
+        ticking = false;
+        let current = headings[0];
+        headings.forEach(heading => {
+            if (heading.element.getBoundingClientRect().top <= OFFSET) current = heading;
+        });
+
+        tocList.querySelectorAll('.toc-link').forEach(link => {
+            link.classList.toggle('active', !!current && link.dataset.target === current.id);
+        });
+    };
+
+    window.addEventListener('scroll', () => {
+        if (!ticking) {
+            ticking = true;
+            window.requestAnimationFrame(update);
+        }
+    }, { passive: true });
+
+    update();
+}
+
+/**
+ * Scroll to the heading named in location.hash (used once async content has rendered)
+ */
+function scrollToHash() {
+    if (!window.location.hash) return;
+    let id;
+    try {
+        id = decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+        // A malformed hash such as "#%E0" names no heading
+        return;
+    }
+    const target = document.getElementById(id);
+    if (target) {
+        target.scrollIntoView();
+    }
+}
+
 // ===== BLOG LISTING PAGE =====
 // Specific check for posts.html to avoid overlapping with post.html
 if (window.location.pathname.includes('posts.html') || window.location.pathname.endsWith('/blog/')) {
@@ -82,9 +623,57 @@ if (window.location.pathname.includes('posts.html') || window.location.pathname.
     const errorState = document.getElementById('errorState');
     const postsGrid = document.getElementById('postsGrid');
     const emptyState = document.getElementById('emptyState');
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    const paginationContainer = loadMoreBtn ? loadMoreBtn.parentElement : null;
+
+    // Pagination settings: posts per request and whether to load the next page on scroll
+    const PAGE_SIZE = 9;
+    const INFINITE_SCROLL = paginationContainer
+        ? paginationContainer.dataset.infiniteScroll === 'true'
+        : false;
+
+    let currentPage = 0;
+    let hasMorePages = false;
+    let isLoadingPage = false;
+    let scrollObserver = null;
+    const loadedPostIds = new Set();
+    const fetchedPostIds = new Set(); // every post fetched so far, scheduled ones included
+    const listingPosts = [];
+
+    // Search and category/tag filters work on every post, fetched in full on first use
+    const searchInput = document.getElementById('postSearch');
+    const categoryFilters = document.getElementById('categoryFilters');
+    const ALL_POSTS_FETCH_SIZE = 100;
+    const filters = {
+        q: getQueryParam('q') || '',
+        category: getQueryParam('category') || '',
+        tag: getQueryParam('tag') || ''
+    };
+    let allPostsPromise = null;
+    let searchTimer = null;
+
+    function isFiltered() {
+        return !!(filters.q || filters.category || filters.tag);
+    }
+
+    /**
+     * Show or hide the Load More button for the current pagination state
+     */
+    function updateLoadMore() {
+        if (!loadMoreBtn) return;
+        paginationContainer.style.display = hasMorePages && !isFiltered() ? 'block' : 'none';
+        loadMoreBtn.disabled = isLoadingPage;
+        loadMoreBtn.textContent = isLoadingPage ? 'Loading...' : 'Load More articles';
+
+        // Re-observe so a sentinel that is still on screen triggers the next page
+        if (scrollObserver && !isLoadingPage && !isFiltered()) {
+            scrollObserver.unobserve(paginationContainer);
+            scrollObserver.observe(paginationContainer);
+        }
+    }
 
     /**
-     * Load and display all posts
+     * Load and display the first page of posts
      */
     async function loadPosts() {
         try {
@@ -92,19 +681,16 @@ if (window.location.pathname.includes('posts.html') || window.location.pathname.
             errorState.style.display = 'none';
             postsGrid.style.display = 'none';
             emptyState.style.display = 'none';
+            hasMorePages = false;
+            isLoadingPage = true;
+            updateLoadMore();
 
-            const response = await fetch(getApiUrl(API_CONFIG.ENDPOINTS.POSTS));
-
-            if (!response.ok) {
-                throw new Error('Failed to load posts');
-            }
-
-            const data = await response.json();
+            fetchedPostIds.clear();
+            const { posts, hasMore, page } = await fetchNextPublicPage(1, PAGE_SIZE, fetchedPostIds);
 
             loadingState.style.display = 'none';
-
-            // Handle both response formats: data.posts or data.data
-            const posts = data.posts || data.data || [];
+            currentPage = page;
+            hasMorePages = hasMore;
 
             if (!posts || posts.length === 0) {
                 emptyState.style.display = 'block';
@@ -119,6 +705,33 @@ if (window.location.pathname.includes('posts.html') || window.location.pathname.
             errorState.style.display = 'block';
             errorState.querySelector('.error-message').textContent =
                 'Failed to load posts. Please try again.';
+        } finally {
+            isLoadingPage = false;
+            updateLoadMore();
+        }
+    }
+
+    /**
+     * Fetch the next page and append its cards to the grid
+     */
+    async function loadMorePosts() {
+        if (isLoadingPage || !hasMorePages || isFiltered()) return;
+
+        try {
+            isLoadingPage = true;
+            updateLoadMore();
+
+            const { posts, hasMore, page } = await fetchNextPublicPage(currentPage + 1, PAGE_SIZE, fetchedPostIds);
+
+            currentPage = page;
+            hasMorePages = hasMore;
+            appendPosts(posts);
+        } catch (error) {
+            console.error('Error loading more posts:', error);
+            alert('Failed to load more posts. Please try again.');
+        } finally {
+            isLoadingPage = false;
+            updateLoadMore();
         }
     }
 
@@ -127,45 +740,198 @@ if (window.location.pathname.includes('posts.html') || window.location.pathname.
      */
     function renderPosts(posts) {
         postsGrid.innerHTML = '';
+        loadedPostIds.clear();
+        listingPosts.length = 0;
+        appendPosts(posts);
+    }
 
+    /**
+     * Append post cards to the grid, skipping posts already shown
+     */
+    function appendPosts(posts) {
         posts.forEach(post => {
-            const postCard = createPostCard(post);
-            postsGrid.appendChild(postCard);
+            const key = getPostKey(post);
+            if (loadedPostIds.has(key)) return;
+            loadedPostIds.add(key);
+            listingPosts.push(post);
+
+            if (!isFiltered()) {
+                postsGrid.appendChild(createPostCard(post));
+            }
         });
+
+        renderCategoryFilters();
     }
 
     /**
-     * Create post card element
+     * Fetch every post (all pages) once and build the search index over them
      */
-    function createPostCard(post) {
-        const card = document.createElement('article');
-        card.className = 'post-card';
-        card.onclick = () => {
-            window.location.href = `post.html?slug=${post.slug || post._id}`;
-        };
+    function getAllPosts() {
+        if (!allPostsPromise) {
+            allPostsPromise = fetchAllPosts(ALL_POSTS_FETCH_SIZE)
+                .then(posts => ({ posts, searchIndex: createSearchIndex(posts) }));
 
-        const imageUrl = post.image
-            ? (post.image.startsWith('http') ? post.image : `${API_CONFIG.BASE_URL}${post.image}`)
-            : 'https://images.unsplash.com/photo-1499750310107-5fef28a66643?q=80&w=2070&auto=format&fit=crop';
-
-        card.innerHTML = `
-            <img src="${imageUrl}" alt="${post.title}" class="post-card-image">
-            <div class="post-card-content">
-                <span class="post-card-category">${post.category}</span>
-                <h2 class="post-card-title">${post.title}</h2>
-                <p class="post-card-excerpt">${getExcerpt(post.content)}</p>
-                <div class="post-card-footer">
-                    <span class="post-card-date">${formatDate(post.createdAt || post.date)}</span>
-                    <a href="post.html?slug=${post.slug || post._id}" class="post-card-link">Read More →</a>
-                </div>
-            </div>
-        `;
+            // Allow a retry after a failed fetch
+            allPostsPromise.catch(() => {
+                allPostsPromise = null;
+            });
+        }
+        return allPostsPromise;
+    }
+
+    /**
+     * Keep the query, category and tag in the URL (?q=&category=&tag=) so views can be shared
+     */
+    function updateFilterUrl() {
+        const url = new URL(window.location.href);
+        Object.keys(filters).forEach(key => {
+            if (filters[key]) {
+                url.searchParams.set(key, filters[key]);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Build category chips from the posts loaded so far (plus the active category/tag)
+     */
+    function renderCategoryFilters() {
+        if (!categoryFilters) return;
+
+        const categories = [];
+        listingPosts.forEach(post => {
+            if (post.category && !categories.some(c => isSameLabel(c, post.category))) {
+                categories.push(post.category.trim());
+            }
+        });
+        if (filters.category && !categories.some(c => isSameLabel(c, filters.category))) {
+            categories.push(filters.category);
+        }
+        categories.sort((a, b) => a.localeCompare(b));
+
+        const escape = Sanitizer.escapeHtml;
+        const chip = (label, value, active) =>
+            `<button type="button" class="category-chip${active ? ' active' : ''}" data-category="${escape(value)}">${escape(label)}</button>`;
+
+        categoryFilters.innerHTML = [
+            chip('All', '', !filters.category),
+            ...categories.map(category => chip(category, category, isSameLabel(category, filters.category))),
+            filters.tag
+                ? `<button type="button" class="category-chip tag-chip active" data-clear-tag="true">#${escape(filters.tag)} <i class="fas fa-times"></i></button>`
+                : ''
+        ].join('');
+        categoryFilters.style.display = categories.length || filters.tag ? 'flex' : 'none';
+    }
+
+    /**
+     * Apply search, category and tag filters, or restore the paginated listing when none are set
+     */
+    async function applyFilters() {
+        const requested = JSON.stringify(filters);
+        updateFilterUrl();
+        updateLoadMore();
+        renderCategoryFilters();
+
+        const emptyTitle = emptyState.querySelector('h2');
+        const emptyText = emptyState.querySelector('p');
+
+        if (!isFiltered()) {
+            emptyTitle.textContent = 'No Posts Yet';
+            emptyText.textContent = 'Check back soon for new content!';
+            renderPosts(listingPosts.slice());
+            emptyState.style.display = listingPosts.length ? 'none' : 'block';
+            postsGrid.style.display = listingPosts.length ? 'grid' : 'none';
+            return;
+        }
+
+        try {
+            const { posts, searchIndex } = await getAllPosts();
 
-        return card;
+            // Ignore stale results if the filters changed while posts were loading
+            if (JSON.stringify(filters) !== requested) return;
+
+            let results = filters.q
+                ? searchIndex.search(filters.q)
+                : posts.map(post => ({ post }));
+
+            if (filters.category) {
+                results = results.filter(result => isSameLabel(result.post.category, filters.category));
+            }
+            if (filters.tag) {
+                results = results.filter(result => getPostTags(result.post).some(tag => isSameLabel(tag, filters.tag)));
+            }
+
+            postsGrid.innerHTML = '';
+            results.forEach(result => {
+                postsGrid.appendChild(createPostCard(result.post, {
+                    titleHtml: result.titleHtml,
+                    excerptHtml: result.excerptHtml
+                }));
+            });
+
+            loadingState.style.display = 'none';
+            errorState.style.display = 'none';
+            postsGrid.style.display = results.length ? 'grid' : 'none';
+            emptyState.style.display = results.length ? 'none' : 'block';
+            emptyTitle.textContent = 'No Matching Articles';
+            emptyText.textContent = filters.q
+                ? `Nothing matched "${filters.q}". Try different keywords.`
+                : 'No articles in this category yet.';
+        } catch (error) {
+            console.error('Error filtering posts:', error);
+            errorState.style.display = 'block';
+            errorState.querySelector('.error-message').textContent =
+                'Search is unavailable right now. Please try again.';
+        }
+    }
+
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', loadMorePosts);
+
+        // Infinite scroll: load the next page when the button scrolls into view
+        if (INFINITE_SCROLL && 'IntersectionObserver' in window) {
+            scrollObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    loadMorePosts();
+                }
+            }, { rootMargin: '400px 0px' });
+            scrollObserver.observe(paginationContainer);
+        }
+    }
+
+    if (searchInput) {
+        searchInput.value = filters.q;
+        searchInput.addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                filters.q = e.target.value.trim();
+                applyFilters();
+            }, 200);
+        });
     }
 
-    // Load posts on page load
-    loadPosts();
+    if (categoryFilters) {
+        categoryFilters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.category-chip');
+            if (!chip) return;
+
+            if (chip.dataset.clearTag) {
+                filters.tag = '';
+            } else {
+                filters.category = chip.dataset.category;
+            }
+            applyFilters();
+        });
+    }
+
+    // Load posts on page load, then apply any shared ?q=/?category=/?tag= filters
+    loadPosts().then(() => {
+        if (isFiltered()) {
+            applyFilters();
+        }
+    });
 }
 
 // ===== SINGLE POST PAGE =====
@@ -179,6 +945,9 @@ if (window.location.pathname.includes('post.html') && !window.location.pathname.
     const slug = getQueryParam('slug');
     const postId = getQueryParam('id');
 
+    // Related articles and previous/next links are picked from one page of recent posts
+    const RELATED_POOL_SIZE = 50;
+
     if (!slug && !postId) {
         window.location.href = 'posts.html';
     }
@@ -210,10 +979,15 @@ if (window.location.pathname.includes('post.html') && !window.location.pathname.
             // Handle both response formats: data.post or data.data
             const post = data.post || data.data;
 
+            if (!isPublicPost(post)) {
+                throw new Error('Post is not published yet');
+            }
+
             loadingState.style.display = 'none';
             postContent.style.display = 'block';
 
             renderPost(post);
+            loadRelatedPosts(post);
         } catch (error) {
             console.error('Error loading post:', error);
             loadingState.style.display = 'none';
@@ -237,29 +1011,127 @@ if (window.location.pathname.includes('post.html') && !window.location.pathname.
         }
 
         // Render Hero Details
-        document.getElementById('postCategory').textContent = post.category;
+        const categoryUrl = `posts.html?category=${encodeURIComponent(post.category || '')}`;
+        const postCategory = document.getElementById('postCategory');
+        postCategory.textContent = post.category;
+        postCategory.href = categoryUrl;
         document.getElementById('postTitle').textContent = post.title;
         document.getElementById('postDate').innerHTML = `<i class="far fa-calendar-alt"></i> ${formatDate(post.createdAt || post.date)}`;
 
-        // Update Hero Background
+        const { words, minutes } = getReadingStats(post.content);
+        document.getElementById('postReadingTime').innerHTML =
+            `<i class="far fa-clock"></i> ${minutes} min read · ${words.toLocaleString('en-US')} words`;
+
+        // Update Hero Background (quotes are percent-encoded so the URL can't break out of url(""))
         const postHero = document.getElementById('postHero');
-        if (post.image) {
-            const imageUrl = post.image.startsWith('http') ? post.image : `${API_CONFIG.BASE_URL}${post.image}`;
-            postHero.style.backgroundImage = `url('${imageUrl}')`;
-        } else {
-            // Default placeholder
-            postHero.style.backgroundImage = `url('https://images.unsplash.com/photo-1499750310107-5fef28a66643?q=80&w=2070&auto=format&fit=crop')`;
-        }
+        const heroImageUrl = resolveImageUrl(post.image).replace(/["\\]/g, encodeURIComponent);
+        postHero.style.backgroundImage = `url("${heroImageUrl}")`;
 
         // Update Breadcrumbs
         document.getElementById('breadcrumbActive').textContent = post.title;
 
         // Populate bottom category
-        document.getElementById('postBottomCategory').textContent = post.category;
+        const postBottomCategory = document.getElementById('postBottomCategory');
+        postBottomCategory.textContent = post.category;
+        postBottomCategory.href = categoryUrl;
+
+        // Populate tags
+        const tags = getPostTags(post);
+        document.getElementById('postTagsLabel').style.display = tags.length ? 'inline' : 'none';
+        document.getElementById('postTagsList').innerHTML = tags
+            .map(tag => `<a href="posts.html?tag=${encodeURIComponent(tag)}" class="post-tag">#${Sanitizer.escapeHtml(tag)}</a>`)
+            .join(' ');
 
         // Render content body
         const contentBody = document.getElementById('postContentBody');
         contentBody.innerHTML = formatContent(post.content);
+        SyntaxHighlighter.highlightAll(contentBody);
+
+        // Heading anchors + table of contents (only worth showing for longer posts)
+        const headings = addHeadingAnchors(contentBody);
+        const postToc = document.getElementById('postToc');
+        const tocList = document.getElementById('postTocList');
+        if (headings.length >= 3) {
+            buildTableOfContents(headings, tocList);
+            postToc.style.display = 'block';
+            setupScrollSpy(headings, tocList);
+        } else {
+            postToc.style.display = 'none';
+        }
+
+        // The page loaded before the content existed, so honour #heading links now
+        scrollToHash();
+        setupReadingProgress(contentBody);
+    }
+
+    /**
+     * Drive the top-of-page progress bar from how much of the article has scrolled into view
+     */
+    function setupReadingProgress(contentBody) {
+        const progressBar = document.getElementById('readingProgressBar');
+        if (!progressBar) return;
+        let ticking = false;
+
+        const update = () => {
+            ticking = false;
+            const rect = contentBody.getBoundingClientRect();
+            const progress = rect.height
+                ? (window.innerHeight - rect.top) / rect.height
+                : 0;
+            progressBar.style.width = `${Math.min(Math.max(progress, 0), 1) * 100}%`;
+        };
+
+        ['scroll', 'resize'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                if (!ticking) {
+                    ticking = true;
+                    window.requestAnimationFrame(update);
+                }
+            }, { passive: true });
+        });
+
+        update();
+    }
+
+    /**
+     * Render related articles and previous/next links from the most recent posts
+     * One request only: a post older than that page gets no previous/next links
+     * These sections stay hidden if the list can't be loaded; the article itself is unaffected
+     */
+    async function loadRelatedPosts(post) {
+        const relatedSection = document.getElementById('relatedPosts');
+        const relatedGrid = document.getElementById('relatedPostsGrid');
+        const prevNextNav = document.getElementById('postPrevNext');
+
+        try {
+            const { posts } = await fetchPostsPage(1, RELATED_POOL_SIZE);
+
+            const related = findRelatedPosts(post, posts);
+            relatedGrid.innerHTML = '';
+            related.forEach(relatedPost => relatedGrid.appendChild(createPostCard(relatedPost)));
+            relatedSection.style.display = related.length ? 'block' : 'none';
+
+            const { previous, next } = findAdjacentPosts(post, posts);
+            const escape = Sanitizer.escapeHtml;
+            const link = (target, direction) => `
+                <a href="post.html?slug=${encodeURIComponent(target.slug || target._id)}" class="prev-next-link ${direction}">
+                    <span class="prev-next-label">${direction === 'prev'
+                        ? '<i class="fas fa-arrow-left"></i> Previous'
+                        : 'Next <i class="fas fa-arrow-right"></i>'}</span>
+                    <span class="prev-next-title">${escape(target.title)}</span>
+                </a>
+            `;
+
+            prevNextNav.innerHTML = `
+                ${previous ? link(previous, 'prev') : '<span></span>'}
+                ${next ? link(next, 'next') : '<span></span>'}
+            `;
+            prevNextNav.style.display = previous || next ? 'grid' : 'none';
+        } catch (error) {
+            console.error('Error loading related posts:', error);
+            relatedSection.style.display = 'none';
+            prevNextNav.style.display = 'none';
+        }
     }
 
     // Load post on page load
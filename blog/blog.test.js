@@ -0,0 +1,222 @@
+/**
+ * Public Blog Tests
+ * Run with: node --test blog/blog.test.js
+ * Loads a blog page and its scripts into jsdom with a mocked fetch,
+ * so these tests require jsdom (npm install --no-save jsdom)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    // Reported by loadPage() so a missing DOM fails the run instead of passing silently
+}
+
+const ROOT = path.join(__dirname, '..');
+const API = 'https://my-blog-backend-phi.vercel.app';
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function makePost(number) {
+    return {
+        _id: `p${number}`,
+        slug: `post-${number}`,
+        title: `Post ${number}`,
+        category: 'General',
+        content: `Body of post ${number}`,
+        createdAt: '2026-01-01T00:00:00.000Z'
+    };
+}
+
+/**
+ * Load a blog page with the scripts it includes
+ * @param {string} page - e.g. 'posts.html' or 'post.html?slug=x'
+ * @param {Function} api - answers every request: (path, query) => Response
+ * @returns {{ window: Window, document: Document, context: object, calls: Array, close: Function }}
+ */
+function loadPage(page, api) {
+    if (!JSDOM) {
+        throw new Error('blog page tests need jsdom: run `npm install --no-save jsdom` first');
+    }
+
+    const file = page.split(/[?#]/)[0];
+    const html = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    const dom = new JSDOM(html, { url: `https://blog.test/blog/${page}`, runScripts: 'outside-only' });
+    const { window } = dom;
+    const calls = [];
+
+    window.fetch = async (url) => {
+        const parsed = new URL(url);
+        calls.push({ path: parsed.pathname, query: parsed.searchParams });
+        assert.equal(parsed.origin, API);
+        return api(parsed.pathname, parsed.searchParams);
+    };
+    window.scrollTo = () => {};
+    const silent = () => {};
+    window.console = { ...console, log: silent, warn: silent, error: silent };
+
+    // Classic scripts share one global scope, so run them as scripts rather than eval()
+    const context = dom.getInternalVMContext();
+    Array.from(window.document.querySelectorAll('script[src]')).forEach(script => {
+        const source = path.join(__dirname, script.getAttribute('src'));
+        new vm.Script(fs.readFileSync(source, 'utf8'), { filename: path.relative(ROOT, source) }).runInContext(context);
+    });
+
+    return { window, document: window.document, context, calls, close: () => window.close() };
+}
+
+/**
+ * Wait until check() returns something truthy (the page loads asynchronously)
+ */
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the page');
+}
+
+// A backend that ignores page and always answers with the first `limit` posts
+const ignoresPaging = (route, query) => {
+    const limit = Number(query.get('limit')) || 10;
+    return jsonResponse(200, { data: Array.from({ length: limit }, (_, index) => makePost(index + 1)) });
+};
+
+// ===== PAGINATION =====
+
+test('Load More hides when the next page repeats the posts already shown', async () => {
+    const page = loadPage('posts.html', ignoresPaging);
+    try {
+        const { document } = page;
+        await waitFor(() => document.querySelectorAll('.post-card').length);
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        assert.equal(loadMoreBtn.parentElement.style.display, 'block');
+
+        loadMoreBtn.click();
+        await waitFor(() => loadMoreBtn.parentElement.style.display === 'none');
+        assert.equal(document.querySelectorAll('.post-card').length, 9);
+        assert.equal(page.calls.length, 2);
+    } finally {
+        page.close();
+    }
+});
+
+test('fetchAllPosts stops when a page adds no new posts', async () => {
+    const page = loadPage('posts.html', ignoresPaging);
+    try {
+        await waitFor(() => page.document.querySelectorAll('.post-card').length);
+        page.calls.length = 0;
+
+        const posts = await page.window.fetchAllPosts(5);
+        assert.deepEqual(Array.from(posts, post => post._id), ['p1', 'p2', 'p3', 'p4', 'p5']);
+        assert.equal(page.calls.length, 2);
+    } finally {
+        page.close();
+    }
+});
+
+test('fetchAllPosts walks at most MAX_POST_PAGES pages', async () => {
+    // Every page brings new posts and claims there are more
+    const endless = (route, query) => {
+        const pageNumber = Number(query.get('page'));
+        return jsonResponse(200, { data: [makePost(pageNumber * 2 - 1), makePost(pageNumber * 2)], hasMore: true });
+    };
+    const page = loadPage('posts.html', endless);
+    try {
+        await waitFor(() => page.document.querySelectorAll('.post-card').length);
+        page.calls.length = 0;
+
+        const posts = await page.window.fetchAllPosts(2);
+        const maxPages = vm.runInContext('MAX_POST_PAGES', page.context);
+        assert.equal(page.calls.length, maxPages);
+        assert.equal(posts.length, maxPages * 2);
+    } finally {
+        page.close();
+    }
+});
+
+test('search finishes against a backend that ignores paging', async () => {
+    const page = loadPage('posts.html?q=post', ignoresPaging);
+    try {
+        const cards = await waitFor(() => page.document.querySelectorAll('.post-card').length);
+        assert.ok(cards > 0);
+        assert.ok(page.calls.length <= 4, `${page.calls.length} requests`);
+    } finally {
+        page.close();
+    }
+});
+
+// ===== RELATED POSTS =====
+
+test('related posts come from a single page of recent posts', async () => {
+    const current = { ...makePost(1), tags: ['js'] };
+    const api = (route, query) => {
+        if (route === '/api/posts/post-1') return jsonResponse(200, { data: current });
+        const pageNumber = Number(query.get('page'));
+        // Claims many more pages; only the first should be requested
+        return jsonResponse(200, { data: [makePost(pageNumber * 2), makePost(pageNumber * 2 + 1), current], totalPages: 40 });
+    };
+    const page = loadPage('post.html?slug=post-1', api);
+    try {
+        await waitFor(() => page.document.getElementById('relatedPosts').style.display === 'block');
+        const listCalls = page.calls.filter(call => call.path === '/api/posts');
+        assert.equal(listCalls.length, 1);
+        assert.equal(listCalls[0].query.get('page'), '1');
+        assert.equal(page.document.querySelectorAll('#relatedPostsGrid .post-card').length, 2);
+    } finally {
+        page.close();
+    }
+});
+
+// ===== CODE BLOCKS =====
+
+test('code block copy buttons copy the code through the shared clipboard helper', async () => {
+    const post = { ...makePost(1), content: '```js\nconst a = "<b>";\n```' };
+    const api = (route) => jsonResponse(200, { data: route === '/api/posts/post-1' ? post : [] });
+    const page = loadPage('post.html?slug=post-1', api);
+    try {
+        const copied = [];
+        Object.defineProperty(page.window.navigator, 'clipboard', {
+            value: { writeText: async text => { copied.push(text); } }
+        });
+
+        const copyBtn = await waitFor(() => page.document.querySelector('.code-copy-btn'));
+        assert.match(page.document.querySelector('.code-block code').innerHTML, /tok-string">"&lt;b&gt;"</);
+
+        copyBtn.click();
+        await waitFor(() => copyBtn.textContent.includes('Copied'));
+        assert.deepEqual(copied, ['const a = "<b>";']);
+    } finally {
+        page.close();
+    }
+});
+
+// ===== HEADING LINKS =====
+
+test('a malformed hash does not stop the post from rendering', async () => {
+    const post = { ...makePost(1), content: '## Setup\n\nBody' };
+    const api = (route) => jsonResponse(200, { data: route === '/api/posts/post-1' ? post : [] });
+    const page = loadPage('post.html?slug=post-1#%E0', api);
+    try {
+        const { document } = page;
+        // The post either renders or shows its error state in the same tick that hides the loader
+        await waitFor(() => document.getElementById('loadingState').style.display === 'none');
+        assert.equal(document.getElementById('errorState').style.display, 'none');
+        assert.equal(document.getElementById('setup').tagName, 'H3');
+    } finally {
+        page.close();
+    }
+});
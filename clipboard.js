@@ -0,0 +1,27 @@
+/**
+ * Clipboard Helper
+ * Shared by the code block copy buttons (syntax-highlight.js) and the admin media library
+ */
+
+/**
+ * Copy text to the clipboard (execCommand fallback for non-secure origins)
+ * @param {string} text
+ * @returns {Promise<boolean>} whether the text was copied
+ */
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        const helper = document.createElement('textarea');
+        helper.value = text;
+        helper.setAttribute('readonly', '');
+        helper.style.position = 'fixed';
+        helper.style.opacity = '0';
+        document.body.appendChild(helper);
+        helper.select();
+        const copied = document.execCommand('copy');
+        helper.remove();
+        return copied;
+    }
+}
@@ -14,8 +14,9 @@ const API_CONFIG = {
     ENDPOINTS: {
         // Authentication
         LOGIN: '/api/auth/login',
-        REGISTER: '/api/auth/register', // optional if you have register
+        REGISTER: '/api/auth/register', // used by admin/users.html to create accounts
         ME: '/api/auth/me', // verify token and get current user
+        REFRESH: '/api/auth/refresh', // exchange a valid token for a fresh one
         CHANGE_PASSWORD: '/api/auth/admin/change-password',
 
         // Posts
@@ -23,7 +24,18 @@ const API_CONFIG = {
         POST_BY_ID: (id) => `/api/posts/${id}`,
         POST_BY_SLUG: (slug) => `/api/posts/${slug}`,
         CREATE_POST: '/api/posts/create', // if route exists
-        UPLOAD_IMAGE: '/api/posts/upload', // if using multer
+        UPLOAD_IMAGE: '/api/posts/upload', // if using multer; also used by admin/media.html
+        POST_REVISIONS: (id) => `/api/posts/${id}/revisions`, // GET history, POST a snapshot
+        POST_PRESENCE: (id) => `/api/posts/${id}/presence`, // POST heartbeat, DELETE on leave
+
+        // Media library (images uploaded through UPLOAD_IMAGE)
+        MEDIA: '/api/media',
+        MEDIA_BY_ID: (id) => `/api/media/${id}`,
+
+        // Users (admin only)
+        USERS: '/api/users',
+        USER_BY_ID: (id) => `/api/users/${id}`,
+        USER_RESET_PASSWORD: (id) => `/api/users/${id}/reset-password`,
     }
 };
 
@@ -0,0 +1,1148 @@
+/**
+ * Markdown Renderer
+ * CommonMark-compatible parser shared by the public blog and the admin panel
+ * Supports GFM tables, task lists, strikethrough, footnotes and autolinks
+ *
+ * Raw HTML in the source is never passed through: it is escaped and shown as text.
+ */
+
+const Markdown = (function () {
+    // ===== HELPERS =====
+
+    const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+    const ENTITY_RE = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+    const PUNCTUATION_RE = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+    const WHITESPACE_RE = /\s/;
+
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+        copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+        lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+        middot: '·', bull: '•', deg: '°', times: '×', divide: '÷', euro: '€'
+    };
+
+    /**
+     * Escape text for safe use in HTML content and attributes
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Decode numeric and common named HTML entities
+     */
+    function decodeEntities(text) {
+        return text.replace(/&(#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g, (match, body) => {
+            if (body[0] === '#') {
+                const code = body[1] === 'x' || body[1] === 'X'
+                    ? parseInt(body.slice(2), 16)
+                    : parseInt(body.slice(1), 10);
+                return code === 0 || code > 0x10ffff ? '�' : String.fromCodePoint(code);
+            }
+            return NAMED_ENTITIES[body] !== undefined ? NAMED_ENTITIES[body] : match;
+        });
+    }
+
+    /**
+     * Remove backslash escapes and decode entities (link destinations, titles, info strings)
+     */
+    function unescapeString(text) {
+        return decodeEntities(text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1'));
+    }
+
+    /**
+     * Percent-encode a URL the way CommonMark does, keeping existing escapes
+     */
+    function normalizeUrl(url) {
+        return url.replace(/%[0-9a-fA-F]{2}|[^%]+|%/g, (part) => {
+            if (part.length === 3 && part[0] === '%') return part;
+            if (part === '%') return '%25';
+            return encodeURI(part).replace(/%5B/g, '[').replace(/%5D/g, ']');
+        });
+    }
+
+    /**
+     * Block dangerous URL schemes (javascript:, vbscript:, non-image data:)
+     */
+    function safeUrl(url, isImage) {
+        const scheme = url.replace(/[\u0000- ]/g, '').toLowerCase();
+        if (/^(javascript|vbscript|file):/.test(scheme)) return '#';
+        if (/^data:/.test(scheme) && !(isImage && /^data:image\/(png|gif|jpe?g|webp);/.test(scheme))) return '#';
+        return url;
+    }
+
+    /**
+     * Normalize a link label for reference matching
+     */
+    function normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+    }
+
+    /**
+     * Expand tabs in the leading whitespace of a line to 4-column tab stops
+     */
+    function expandTabs(line) {
+        const match = line.match(/^[ \t]+/);
+        if (!match || match[0].indexOf('\t') === -1) return line;
+        let column = 0;
+        let expanded = '';
+        for (const ch of match[0]) {
+            const width = ch === '\t' ? 4 - (column % 4) : 1;
+            expanded += ' '.repeat(width);
+            column += width;
+        }
+        return expanded + line.slice(match[0].length);
+    }
+
+    function isBlank(line) {
+        return /^[ \t]*$/.test(line);
+    }
+
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    // ===== BLOCK PATTERNS =====
+
+    const ATX_HEADING_RE = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+    const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+    const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    const BLOCKQUOTE_RE = /^ {0,3}> ?/;
+    const LIST_ITEM_RE = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)/;
+    const SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+    const FOOTNOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+    const TABLE_DELIMITER_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+    const LINK_REF_DEF_RE = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<(?:[^<>\n\\]|\\.)*>|[^\s<][^\s]*)(?:(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+    // Block quotes, list items and footnotes nest by recursion; deeper markers are read as text
+    const MAX_NESTING = 32;
+
+    /**
+     * Check whether a line starts a block that may interrupt a paragraph
+     */
+    function interruptsParagraph(line) {
+        if (ATX_HEADING_RE.test(line) || FENCE_RE.test(line) || BLOCKQUOTE_RE.test(line)) return true;
+        if (THEMATIC_BREAK_RE.test(line)) return true;
+
+        const item = line.match(LIST_ITEM_RE);
+        if (item) {
+            const rest = line.slice(item[0].length);
+            if (isBlank(rest)) return false;
+            return !/^\d/.test(item[2]) || parseInt(item[2], 10) === 1;
+        }
+        return false;
+    }
+
+    /**
+     * Split a GFM table row into raw cell strings
+     */
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Check whether lines[i] and lines[i + 1] open a GFM table
+     */
+    function isTableStart(lines, i) {
+        if (i + 1 >= lines.length || lines[i].indexOf('|') === -1) return false;
+        if (!TABLE_DELIMITER_RE.test(lines[i + 1]) || lines[i + 1].indexOf('-') === -1) return false;
+        if (lines[i + 1].indexOf('|') === -1 && splitTableRow(lines[i]).length !== 1) return false;
+        return splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+    }
+
+    // ===== BLOCK PARSER =====
+
+    /**
+     * Parse the lines of a container block (quote, list item, footnote) one level deeper
+     */
+    function parseNested(lines, ctx) {
+        ctx.depth++;
+        try {
+            return parseBlocks(lines, ctx);
+        } finally {
+            ctx.depth--;
+        }
+    }
+
+    /**
+     * Parse lines into a list of block nodes
+     * Each node records whether a blank line preceded it (used for loose lists)
+     */
+    function parseBlocks(lines, ctx) {
+        const blocks = [];
+        const canNest = ctx.depth < MAX_NESTING;
+        let sawBlank = false;
+        let i = 0;
+
+        const push = (block) => {
+            block.blankBefore = sawBlank && blocks.length > 0;
+            sawBlank = false;
+            blocks.push(block);
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                sawBlank = true;
+                i++;
+                continue;
+            }
+
+            // Indented code block
+            if (indentOf(line) >= 4) {
+                const codeLines = [];
+                while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+                    codeLines.push(lines[i].slice(Math.min(4, indentOf(lines[i]))));
+                    i++;
+                }
+                while (codeLines.length && isBlank(codeLines[codeLines.length - 1])) codeLines.pop();
+                push({ type: 'code', lang: '', text: codeLines.join('\n') });
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(FENCE_RE);
+            if (fence && !(fence[2][0] === '`' && fence[3].indexOf('`') !== -1)) {
+                const fenceIndent = fence[1].length;
+                const marker = fence[2];
+                const closeRe = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !closeRe.test(lines[i])) {
+                    const strip = Math.min(fenceIndent, indentOf(lines[i]));
+                    codeLines.push(lines[i].slice(strip));
+                    i++;
+                }
+                i++; // skip closing fence (or end of input)
+                const info = unescapeString(fence[3].trim());
+                push({ type: 'code', lang: info.split(/\s+/)[0], text: codeLines.join('\n') });
+                continue;
+            }
+
+            // ATX heading
+            const atx = line.match(ATX_HEADING_RE);
+            if (atx) {
+                const text = atx[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+                push({ type: 'heading', level: atx[1].length, text });
+                i++;
+                continue;
+            }
+
+            // Thematic break
+            if (THEMATIC_BREAK_RE.test(line)) {
+                push({ type: 'hr' });
+                i++;
+                continue;
+            }
+
+            // Blockquote (with lazy paragraph continuation)
+            if (canNest && BLOCKQUOTE_RE.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length) {
+                    if (BLOCKQUOTE_RE.test(lines[i])) {
+                        quoteLines.push(expandTabs(lines[i].replace(BLOCKQUOTE_RE, '')));
+                    } else if (
+                        !isBlank(lines[i]) &&
+                        quoteLines.length &&
+                        !isBlank(quoteLines[quoteLines.length - 1]) &&
+                        !interruptsParagraph(lines[i]) &&
+                        !isFenceOpen(quoteLines)
+                    ) {
+                        quoteLines.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                push({ type: 'blockquote', children: parseNested(quoteLines, ctx) });
+                continue;
+            }
+
+            // Footnote definition
+            const footnote = canNest && line.match(FOOTNOTE_DEF_RE);
+            if (footnote) {
+                const noteLines = [footnote[2]];
+                i++;
+                while (i < lines.length) {
+                    if (isBlank(lines[i])) {
+                        if (i + 1 < lines.length && indentOf(lines[i + 1]) >= 4) {
+                            noteLines.push('');
+                            i++;
+                            continue;
+                        }
+                        break;
+                    }
+                    if (indentOf(lines[i]) >= 4) {
+                        noteLines.push(lines[i].slice(4));
+                    } else if (!isBlank(noteLines[noteLines.length - 1]) && !interruptsParagraph(lines[i]) && !FOOTNOTE_DEF_RE.test(lines[i])) {
+                        noteLines.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                const label = normalizeLabel(footnote[1]);
+                if (!ctx.footnotes[label]) {
+                    ctx.footnotes[label] = { label: footnote[1], children: parseNested(noteLines, ctx) };
+                }
+                continue;
+            }
+
+            // List
+            if (canNest && LIST_ITEM_RE.test(line)) {
+                const list = parseList(lines, i, ctx);
+                push(list.block);
+                i = list.next;
+                continue;
+            }
+
+            // GFM table
+            if (isTableStart(lines, i)) {
+                const table = parseTable(lines, i);
+                push(table.block);
+                i = table.next;
+                continue;
+            }
+
+            // Paragraph (may turn into a setext heading or link reference definitions)
+            const paraLines = [line];
+            let setextLevel = 0;
+            i++;
+            while (i < lines.length && !isBlank(lines[i])) {
+                const setext = lines[i].match(SETEXT_RE);
+                if (setext) {
+                    setextLevel = setext[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (interruptsParagraph(lines[i]) || isTableStart(lines, i)) break;
+                paraLines.push(lines[i]);
+                i++;
+            }
+
+            let text = paraLines.map(l => l.replace(/^[ \t]+/, '')).join('\n');
+            text = extractLinkReferences(text, ctx);
+
+            if (!text.trim()) {
+                // The paragraph held only link reference definitions
+                if (setextLevel === 2) push({ type: 'hr' });
+                continue;
+            }
+
+            text = text.replace(/[ \t]+$/, '');
+            if (setextLevel) {
+                push({ type: 'heading', level: setextLevel, text: text.trim() });
+            } else {
+                push({ type: 'paragraph', text });
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Check whether collected lines end inside an unclosed code fence
+     */
+    function isFenceOpen(lines) {
+        let open = null;
+        for (const line of lines) {
+            const fence = line.match(FENCE_RE);
+            if (!fence) continue;
+            if (!open) {
+                open = fence[2];
+            } else if (fence[2][0] === open[0] && fence[2].length >= open.length && !fence[3].trim()) {
+                open = null;
+            }
+        }
+        return open !== null;
+    }
+
+    /**
+     * Strip leading link reference definitions from paragraph text into ctx.refs
+     */
+    function extractLinkReferences(text, ctx) {
+        let match;
+        while ((match = text.match(LINK_REF_DEF_RE))) {
+            const label = normalizeLabel(match[1]);
+            if (!label || match[1].startsWith('^')) break;
+
+            let dest = match[2];
+            if (dest.startsWith('<')) dest = dest.slice(1, -1);
+            const title = match[3] ? match[3].slice(1, -1) : null;
+
+            if (!ctx.refs[label]) {
+                ctx.refs[label] = {
+                    href: unescapeString(dest),
+                    title: title === null ? null : unescapeString(title)
+                };
+            }
+            text = text.slice(match[0].length);
+        }
+        return text;
+    }
+
+    /**
+     * Parse a bullet or ordered list starting at lines[start]
+     */
+    function parseList(lines, start, ctx) {
+        const first = lines[start].match(LIST_ITEM_RE);
+        const ordered = /^\d/.test(first[2]);
+        const markerChar = first[2].slice(-1);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = expandTabs(lines[i]);
+            const marker = line.match(LIST_ITEM_RE);
+            if (!marker || THEMATIC_BREAK_RE.test(line)) break;
+            if (/^\d/.test(marker[2]) !== ordered || marker[2].slice(-1) !== markerChar) break;
+
+            const afterMarker = line.slice(marker[0].length);
+            const spaces = afterMarker.match(/^ */)[0].length;
+            const markerWidth = marker[1].length + marker[2].length;
+            const startsBlank = isBlank(afterMarker);
+            const padding = startsBlank || spaces > 4 ? 1 : spaces;
+            const contentIndent = markerWidth + padding;
+
+            const itemLines = [startsBlank ? '' : afterMarker.slice(padding)];
+            const itemStart = i;
+            i++;
+
+            while (i < lines.length) {
+                const next = expandTabs(lines[i]);
+                if (isBlank(next)) {
+                    // An item may begin with at most one blank line
+                    if (startsBlank && itemLines.length === 1) break;
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                if (indentOf(next) >= contentIndent) {
+                    itemLines.push(next.slice(contentIndent));
+                    i++;
+                    continue;
+                }
+                const last = itemLines[itemLines.length - 1];
+                if (
+                    !isBlank(last) &&
+                    !interruptsParagraph(next) &&
+                    !LIST_ITEM_RE.test(next) &&
+                    !isFenceOpen(itemLines)
+                ) {
+                    itemLines.push(next); // lazy continuation
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            // Trailing blank lines belong between items, not inside the last one
+            while (i - 1 > itemStart && isBlank(lines[i - 1])) {
+                itemLines.pop();
+                i--;
+            }
+            if (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) itemLines.pop();
+
+            let task = null;
+            const taskMatch = itemLines[0] && itemLines[0].match(/^\[([ xX])\](?=[ \t]|$)[ \t]*/);
+            if (taskMatch) {
+                task = taskMatch[1] !== ' ';
+                itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+            }
+
+            const children = parseNested(itemLines, ctx);
+            if (children.some(child => child.blankBefore)) loose = true;
+
+            items.push({ task, children });
+
+            let next = i;
+            while (next < lines.length && isBlank(lines[next])) next++;
+
+            const following = next < lines.length ? lines[next].match(LIST_ITEM_RE) : null;
+            const continues = following
+                && /^\d/.test(following[2]) === ordered
+                && following[2].slice(-1) === markerChar
+                && !THEMATIC_BREAK_RE.test(lines[next]);
+            if (!continues) break;
+
+            // A blank line between items makes the whole list loose
+            if (next > i) loose = true;
+            i = next;
+        }
+
+        return {
+            block: {
+                type: 'list',
+                ordered,
+                start: ordered ? parseInt(first[2], 10) : null,
+                loose,
+                items
+            },
+            next: i
+        };
+    }
+
+    /**
+     * Parse a GFM table starting at lines[start]
+     */
+    function parseTable(lines, start) {
+        const header = splitTableRow(lines[start]);
+        const align = splitTableRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+            const cells = splitTableRow(lines[i]);
+            // Rows are padded or truncated to the header width
+            rows.push(header.map((_, col) => cells[col] || ''));
+            i++;
+        }
+
+        return { block: { type: 'table', header, align, rows }, next: i };
+    }
+
+    // ===== INLINE PARSER =====
+
+    /**
+     * Classify a delimiter run for emphasis (CommonMark flanking rules)
+     */
+    function classifyDelimiter(char, before, after, count) {
+        const beforeWs = WHITESPACE_RE.test(before);
+        const afterWs = WHITESPACE_RE.test(after);
+        const beforePunct = PUNCTUATION_RE.test(before);
+        const afterPunct = PUNCTUATION_RE.test(after);
+
+        const leftFlanking = !afterWs && (!afterPunct || beforeWs || beforePunct);
+        const rightFlanking = !beforeWs && (!beforePunct || afterWs || afterPunct);
+
+        if (char === '_') {
+            return {
+                canOpen: leftFlanking && (!rightFlanking || beforePunct),
+                canClose: rightFlanking && (!leftFlanking || afterPunct)
+            };
+        }
+        if (char === '~' && count > 2) {
+            return { canOpen: false, canClose: false };
+        }
+        return { canOpen: leftFlanking, canClose: rightFlanking };
+    }
+
+    /**
+     * Resolve emphasis delimiters above stackBottom (CommonMark "process emphasis")
+     */
+    function processEmphasis(delims, stackBottom) {
+        let ci = stackBottom;
+
+        while (ci < delims.length) {
+            const closer = delims[ci];
+            if (!closer.canClose) {
+                ci++;
+                continue;
+            }
+
+            let oi = ci - 1;
+            for (; oi >= stackBottom; oi--) {
+                const opener = delims[oi];
+                if (opener.char !== closer.char || !opener.canOpen) continue;
+                if (closer.char === '~') {
+                    if (opener.count === closer.count) break;
+                    continue;
+                }
+                const oddMatch = (opener.canClose || closer.canOpen)
+                    && (opener.origCount + closer.origCount) % 3 === 0
+                    && !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0);
+                if (!oddMatch) break;
+            }
+
+            if (oi < stackBottom) {
+                if (!closer.canOpen) {
+                    delims.splice(ci, 1);
+                } else {
+                    ci++;
+                }
+                continue;
+            }
+
+            const opener = delims[oi];
+            let used;
+            let tag;
+            if (closer.char === '~') {
+                used = closer.count;
+                tag = 'del';
+            } else {
+                used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+                tag = used === 2 ? 'strong' : 'em';
+            }
+
+            opener.count -= used;
+            closer.count -= used;
+            opener.opens.unshift(`<${tag}>`);
+            closer.closes.push(`</${tag}>`);
+
+            // Delimiters between opener and closer can no longer match
+            delims.splice(oi + 1, ci - oi - 1);
+            ci = oi + 1;
+
+            if (opener.count === 0) {
+                delims.splice(oi, 1);
+                ci--;
+            }
+            if (closer.count === 0) {
+                delims.splice(ci, 1);
+            }
+        }
+
+        delims.length = stackBottom;
+    }
+
+    /**
+     * Render a parsed inline piece to HTML
+     */
+    function pieceToHtml(piece) {
+        if (piece.delim) {
+            return piece.closes.join('') + escapeHtml(piece.char.repeat(piece.count)) + piece.opens.join('');
+        }
+        return piece.html;
+    }
+
+    // Labels are capped at 999 characters by the spec, which also lets paren nesting be capped;
+    // both stop a failed link from rescanning the rest of the text
+    const MAX_LINK_PARENS = 32;
+    const MAX_LABEL_LENGTH = 999;
+
+    /**
+     * Parse a link destination and optional title after "(" at src[pos]
+     * Returns { href, title, end } or null
+     */
+    function parseInlineLink(src, pos) {
+        let p = pos + 1;
+        const skipSpace = () => {
+            const ws = src.slice(p).match(/^[ \t]*\n?[ \t]*/);
+            p += ws[0].length;
+        };
+
+        skipSpace();
+        let href = '';
+
+        if (src[p] === '<') {
+            const match = src.slice(p).match(/^<((?:[^<>\n\\]|\\.)*)>/);
+            if (!match) return null;
+            href = match[1];
+            p += match[0].length;
+        } else {
+            let depth = 0;
+            const startDest = p;
+            while (p < src.length) {
+                const ch = src[p];
+                if (ch === '\\' && ESCAPABLE.test(src[p + 1] || '')) {
+                    p += 2;
+                    continue;
+                }
+                if (/[ \t\n\u0000-\u001f]/.test(ch)) break;
+                if (ch === '(' && ++depth > MAX_LINK_PARENS) return null;
+                if (ch === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                p++;
+            }
+            if (depth !== 0) return null;
+            href = src.slice(startDest, p);
+        }
+
+        const beforeTitle = p;
+        skipSpace();
+        let title = null;
+        if (p > beforeTitle && /["'(]/.test(src[p])) {
+            const close = src[p] === '(' ? ')' : src[p];
+            const re = close === ')'
+                ? /^\(((?:[^()\\]|\\.)*)\)/
+                : new RegExp(`^${close}((?:[^${close}\\\\]|\\\\.)*)${close}`);
+            const match = src.slice(p).match(re);
+            if (match) {
+                title = match[1];
+                p += match[0].length;
+                skipSpace();
+            }
+        }
+
+        if (src[p] !== ')') return null;
+
+        return {
+            href: unescapeString(href),
+            title: title === null ? null : unescapeString(title),
+            end: p + 1
+        };
+    }
+
+    /**
+     * Parse a link label "[...]" at src[pos]; returns { label, end } or null
+     */
+    function parseLinkLabel(src, pos) {
+        const match = src.slice(pos).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/);
+        if (!match) return null;
+        return { label: match[1], end: pos + match[0].length };
+    }
+
+    /**
+     * Build the HTML for a resolved link or image
+     */
+    function linkHtml(isImage, href, title, innerHtml) {
+        const url = escapeHtml(safeUrl(normalizeUrl(href), isImage));
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+        if (isImage) {
+            const alt = decodeEntities(innerHtml.replace(/<[^>]*>/g, ''));
+            // Post images sit below the fold more often than not
+            return `<img src="${url}" alt="${escapeHtml(alt)}"${titleAttr} loading="lazy" decoding="async" />`;
+        }
+        return `<a href="${url}"${titleAttr}>${innerHtml}</a>`;
+    }
+
+    /**
+     * Parse and render inline Markdown to HTML
+     */
+    function renderInline(src, ctx) {
+        const pieces = [];
+        const delims = [];
+        const brackets = [];
+        let text = '';
+        let pos = 0;
+
+        const flush = () => {
+            if (text) {
+                pieces.push({ html: escapeHtml(text) });
+                text = '';
+            }
+        };
+
+        while (pos < src.length) {
+            const ch = src[pos];
+
+            // Plain run of characters with no special meaning
+            const plain = src.slice(pos).match(/^[^\\`*_~[\]!<&\nhw]+/);
+            if (plain) {
+                text += plain[0];
+                pos += plain[0].length;
+                continue;
+            }
+
+            // Backslash escapes and hard breaks
+            if (ch === '\\') {
+                const next = src[pos + 1];
+                if (next === '\n') {
+                    flush();
+                    pieces.push({ html: '<br />\n' });
+                    pos += 2;
+                    while (src[pos] === ' ' || src[pos] === '\t') pos++;
+                } else if (next && ESCAPABLE.test(next)) {
+                    text += next;
+                    pos += 2;
+                } else {
+                    text += '\\';
+                    pos++;
+                }
+                continue;
+            }
+
+            // Code spans
+            if (ch === '`') {
+                const run = src.slice(pos).match(/^`+/)[0];
+                const closeRe = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+                closeRe.lastIndex = pos + run.length;
+                const close = closeRe.exec(src);
+                if (close) {
+                    let code = src.slice(pos + run.length, close.index).replace(/\n/g, ' ');
+                    if (code.length > 2 && code[0] === ' ' && code[code.length - 1] === ' ' && /[^ ]/.test(code)) {
+                        code = code.slice(1, -1);
+                    }
+                    flush();
+                    pieces.push({ html: `<code>${escapeHtml(code)}</code>` });
+                    pos = close.index + run.length;
+                } else {
+                    text += run;
+                    pos += run.length;
+                }
+                continue;
+            }
+
+            // Emphasis and strikethrough delimiter runs
+            if (ch === '*' || ch === '_' || ch === '~') {
+                const run = src.slice(pos).match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+                const before = pos === 0 ? '\n' : src[pos - 1];
+                const after = src[pos + run.length] || '\n';
+                const { canOpen, canClose } = classifyDelimiter(ch, before, after, run.length);
+
+                flush();
+                if (canOpen || canClose) {
+                    const piece = {
+                        delim: true,
+                        char: ch,
+                        count: run.length,
+                        origCount: run.length,
+                        canOpen,
+                        canClose,
+                        opens: [],
+                        closes: []
+                    };
+                    pieces.push(piece);
+                    delims.push(piece);
+                } else {
+                    pieces.push({ html: escapeHtml(run) });
+                }
+                pos += run.length;
+                continue;
+            }
+
+            // Footnote references
+            if (ch === '[' && src[pos + 1] === '^') {
+                const ref = src.slice(pos).match(/^\[\^([^[\]\s]{1,999})\]/);
+                const label = ref ? normalizeLabel(ref[1]) : null;
+                if (ref && ctx.footnotes[label]) {
+                    if (!ctx.footnoteOrder.includes(label)) ctx.footnoteOrder.push(label);
+                    const n = ctx.footnoteOrder.indexOf(label) + 1;
+                    const refCount = (ctx.footnoteRefs[label] = (ctx.footnoteRefs[label] || 0) + 1);
+                    const refId = refCount > 1 ? `fnref-${n}-${refCount}` : `fnref-${n}`;
+                    flush();
+                    pieces.push({
+                        html: `<sup class="footnote-ref"><a href="#fn-${n}" id="${refId}">${n}</a></sup>`
+                    });
+                    pos += ref[0].length;
+                    continue;
+                }
+            }
+
+            // Link and image openers
+            if (ch === '[' || (ch === '!' && src[pos + 1] === '[')) {
+                const isImage = ch === '!';
+                flush();
+                pieces.push({ html: isImage ? '![' : '[' });
+                brackets.push({
+                    pieceIndex: pieces.length - 1,
+                    delimIndex: delims.length,
+                    image: isImage,
+                    active: true,
+                    srcStart: pos + (isImage ? 2 : 1)
+                });
+                pos += isImage ? 2 : 1;
+                continue;
+            }
+
+            // Link and image closers
+            if (ch === ']') {
+                const opener = brackets[brackets.length - 1];
+                if (!opener || !opener.active) {
+                    if (opener) brackets.pop();
+                    text += ']';
+                    pos++;
+                    continue;
+                }
+
+                let target = null;
+                let end = pos + 1;
+
+                if (src[pos + 1] === '(') {
+                    const inline = parseInlineLink(src, pos + 1);
+                    if (inline) {
+                        target = inline;
+                        end = inline.end;
+                    }
+                }
+
+                if (!target) {
+                    let label = null;
+                    const full = src[pos + 1] === '[' ? parseLinkLabel(src, pos + 1) : null;
+                    if (full && full.label.trim()) {
+                        label = full.label;
+                        end = full.end;
+                    } else if (pos - opener.srcStart <= MAX_LABEL_LENGTH) {
+                        label = src.slice(opener.srcStart, pos);
+                        end = full ? full.end : pos + 1;
+                    }
+                    const ref = label !== null && ctx.refs[normalizeLabel(label)];
+                    if (ref) target = ref;
+                }
+
+                if (!target) {
+                    brackets.pop();
+                    text += ']';
+                    pos++;
+                    continue;
+                }
+
+                flush();
+                processEmphasis(delims, opener.delimIndex);
+                const inner = pieces.splice(opener.pieceIndex).slice(1).map(pieceToHtml).join('');
+                pieces.push({ html: linkHtml(opener.image, target.href, target.title, inner) });
+                brackets.pop();
+
+                // Links may not contain other links; openers below an inactive one are already inactive
+                if (!opener.image) {
+                    for (let b = brackets.length - 1; b >= 0; b--) {
+                        if (brackets[b].image) continue;
+                        if (!brackets[b].active) break;
+                        brackets[b].active = false;
+                    }
+                }
+                pos = end;
+                continue;
+            }
+
+            // Autolinks <scheme:...> and <email>
+            if (ch === '<') {
+                const uri = src.slice(pos).match(/^<([A-Za-z][A-Za-z0-9.+-]{1,31}:[^\s<>\u0000-\u001f]*)>/);
+                const email = src.slice(pos).match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+                if (uri || email) {
+                    const match = uri || email;
+                    const href = uri ? match[1] : `mailto:${match[1]}`;
+                    flush();
+                    pieces.push({ html: `<a href="${escapeHtml(safeUrl(normalizeUrl(href), false))}">${escapeHtml(match[1])}</a>` });
+                    pos += match[0].length;
+                    continue;
+                }
+                text += '<';
+                pos++;
+                continue;
+            }
+
+            // Entity and numeric character references
+            if (ch === '&') {
+                const entity = src.slice(pos).match(ENTITY_RE);
+                if (entity) {
+                    const decoded = decodeEntities(entity[0]);
+                    if (decoded === entity[0]) {
+                        // Named entity outside our table: let the browser decode it
+                        flush();
+                        pieces.push({ html: entity[0] });
+                    } else {
+                        text += decoded;
+                    }
+                    pos += entity[0].length;
+                } else {
+                    text += '&';
+                    pos++;
+                }
+                continue;
+            }
+
+            // Line breaks: two trailing spaces make a hard break, otherwise a soft break
+            if (ch === '\n') {
+                const hard = / {2,}$/.test(text) || ctx.breaks;
+                text = text.replace(/ +$/, '');
+                flush();
+                pieces.push({ html: hard ? ('<br />\n') : '\n' });
+                pos++;
+                while (src[pos] === ' ' || src[pos] === '\t') pos++;
+                continue;
+            }
+
+            // GFM extended autolinks (www. and http(s)://)
+            if ((ch === 'h' || ch === 'w') && (pos === 0 || /[\s*_~(]/.test(src[pos - 1]))) {
+                const match = src.slice(pos).match(/^(?:https?:\/\/|www\.)[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)+[^\s<]*/);
+                if (match) {
+                    let url = match[0].replace(/[?!.,:*_~'"]+$/, '');
+                    // Drop unbalanced trailing parentheses
+                    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                        url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+                    }
+                    const href = url.startsWith('www.') ? `http://${url}` : url;
+                    flush();
+                    pieces.push({ html: `<a href="${escapeHtml(normalizeUrl(href))}">${escapeHtml(url)}</a>` });
+                    pos += url.length;
+                    continue;
+                }
+            }
+
+            text += ch;
+            pos++;
+        }
+
+        flush();
+        processEmphasis(delims, 0);
+        return pieces.map(pieceToHtml).join('');
+    }
+
+    // ===== HTML RENDERER =====
+
+    /**
+     * Render block nodes to HTML
+     * `tight` renders paragraphs without <p> wrappers (inside tight list items)
+     */
+    function renderBlocks(blocks, ctx, tight = false) {
+        return blocks.map(block => renderBlock(block, ctx, tight)).join('');
+    }
+
+    function renderBlock(block, ctx, tight) {
+        switch (block.type) {
+            case 'paragraph': {
+                const html = renderInline(block.text, ctx);
+                return tight ? html : `<p>${html}</p>\n`;
+            }
+
+            case 'heading': {
+                const level = Math.min(block.level + ctx.headingOffset, 6);
+                return `<h${level}>${renderInline(block.text, ctx)}</h${level}>\n`;
+            }
+
+            case 'hr':
+                return '<hr />\n';
+
+            case 'code': {
+                const langClass = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+                const body = block.text ? `${escapeHtml(block.text)}\n` : '';
+                return `<pre><code${langClass}>${body}</code></pre>\n`;
+            }
+
+            case 'blockquote':
+                return `<blockquote>\n${renderBlocks(block.children, ctx)}</blockquote>\n`;
+
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const startAttr = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const hasTasks = block.items.some(item => item.task !== null);
+                const classAttr = hasTasks ? ' class="contains-task-list"' : '';
+                const items = block.items.map(item => {
+                    let body = '';
+                    item.children.forEach(child => {
+                        // Tight paragraphs are inlined; every other block starts on its own line
+                        if ((block.loose || child.type !== 'paragraph') && !body.endsWith('\n')) body += '\n';
+                        body += renderBlock(child, ctx, !block.loose);
+                    });
+                    if (item.task !== null) {
+                        const checkbox = `<input type="checkbox" disabled=""${item.task ? ' checked=""' : ''} /> `;
+                        body = body.startsWith('\n<p>') ? `\n<p>${checkbox}${body.slice(4)}` : checkbox + body;
+                    }
+                    const itemClass = item.task !== null ? ' class="task-list-item"' : '';
+                    return `<li${itemClass}>${body}</li>\n`;
+                }).join('');
+                return `<${tag}${startAttr}${classAttr}>\n${items}</${tag}>\n`;
+            }
+
+            case 'table': {
+                const alignAttr = (col) => block.align[col] ? ` align="${block.align[col]}"` : '';
+                const head = block.header
+                    .map((cell, col) => `<th${alignAttr(col)}>${renderInline(cell, ctx)}</th>\n`)
+                    .join('');
+                const rows = block.rows
+                    .map(row => `<tr>\n${row.map((cell, col) => `<td${alignAttr(col)}>${renderInline(cell, ctx)}</td>\n`).join('')}</tr>\n`)
+                    .join('');
+                return `<table>\n<thead>\n<tr>\n${head}</tr>\n</thead>\n${rows ? `<tbody>\n${rows}</tbody>\n` : ''}</table>\n`;
+            }
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render the footnotes section for every referenced footnote
+     */
+    function renderFootnotes(ctx) {
+        if (!ctx.footnoteOrder.length) return '';
+
+        // Footnote bodies can reference further footnotes, so render until stable
+        const rendered = [];
+        for (let n = 0; n < ctx.footnoteOrder.length; n++) {
+            const label = ctx.footnoteOrder[n];
+            const note = ctx.footnotes[label];
+            let body = renderBlocks(note.children, ctx);
+
+            const refCount = ctx.footnoteRefs[label] || 1;
+            const backrefs = [];
+            for (let r = 1; r <= refCount; r++) {
+                const refId = r > 1 ? `fnref-${n + 1}-${r}` : `fnref-${n + 1}`;
+                backrefs.push(`<a href="#${refId}" class="footnote-backref" aria-label="Back to reference ${n + 1}">↩</a>`);
+            }
+
+            const backHtml = backrefs.join(' ');
+            body = body.endsWith('</p>\n')
+                ? `${body.slice(0, -5)} ${backHtml}</p>\n`
+                : `${body}<p>${backHtml}</p>\n`;
+            rendered.push(`<li id="fn-${n + 1}">\n${body}</li>\n`);
+        }
+
+        return `<section class="footnotes">\n<ol>\n${rendered.join('')}</ol>\n</section>\n`;
+    }
+
+    // ===== PUBLIC API =====
+
+    // Options for post bodies, shared by the public post page and the admin preview:
+    // "#" headings start at <h2> because the post title is the page's <h1>,
+    // and single newlines stay line breaks so older posts keep their layout
+    const POST_OPTIONS = Object.freeze({ headingOffset: 1, breaks: true });
+
+    /**
+     * Render a Markdown document to HTML
+     * @param {string} source - Markdown text
+     * @param {object} [options]
+     * @param {number} [options.headingOffset=0] - shift heading levels (e.g. 1 renders "#" as <h2>)
+     * @param {boolean} [options.breaks=false] - render single newlines as <br>
+     * @returns {string} HTML
+     */
+    function render(source, options = {}) {
+        const ctx = {
+            refs: {},
+            footnotes: {},
+            footnoteOrder: [],
+            footnoteRefs: {},
+            depth: 0,
+            headingOffset: options.headingOffset || 0,
+            breaks: !!options.breaks
+        };
+
+        const lines = String(source || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u0000/g, '�')
+            .split('\n')
+            .map(expandTabs);
+
+        const blocks = parseBlocks(lines, ctx);
+        return renderBlocks(blocks, ctx) + renderFootnotes(ctx);
+    }
+
+    /**
+     * Render Markdown and reduce it to plain text (excerpts, meta descriptions, search)
+     * @param {string} source - Markdown text
+     * @returns {string} plain text with collapsed whitespace
+     */
+    function toPlainText(source) {
+        const html = render(source)
+            .replace(/<section class="footnotes">[\s\S]*<\/section>\n?/, '')
+            .replace(/<sup class="footnote-ref">.*?<\/sup>/g, '')
+            .replace(/<img [^>]*alt="([^"]*)"[^>]*>/g, ' $1 ')
+            .replace(/<[^>]+>/g, ' ');
+        return decodeEntities(html).replace(/\s+/g, ' ').trim();
+    }
+
+    return { render, toPlainText, escapeHtml, POST_OPTIONS };
+})();
@@ -0,0 +1,195 @@
+/**
+ * Markdown Renderer Tests
+ * Run with: node --test markdown.test.js
+ * Loads markdown.js as the browser would (a plain script) inside a vm context,
+ * checks it against the CommonMark spec examples (commonmark-spec.json),
+ * then covers the GFM extensions and the escaping guarantees
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, 'markdown.js'), 'utf8');
+const Markdown = vm.runInNewContext(`${source}\nMarkdown;`, {});
+const spec = require('./commonmark-spec.json');
+
+const render = (text, options) => Markdown.render(text, options);
+
+// ===== COMMONMARK SPEC =====
+
+// Raw HTML is escaped rather than passed through, so these expect different output on purpose
+const RAW_HTML = 'raw HTML is escaped by design';
+const SKIPPED_SECTIONS = { 'HTML blocks': RAW_HTML, 'Raw HTML': RAW_HTML };
+const SKIPPED_EXAMPLES = {
+    21: RAW_HTML, 31: RAW_HTML, 201: RAW_HTML, 308: RAW_HTML, 309: RAW_HTML,
+    344: RAW_HTML, 475: RAW_HTML, 476: RAW_HTML, 477: RAW_HTML, 491: RAW_HTML,
+    494: RAW_HTML, 524: RAW_HTML, 536: RAW_HTML, 642: RAW_HTML, 643: RAW_HTML,
+    // GFM autolinks bare URLs, which core CommonMark leaves as text
+    608: 'GFM autolinks bare URLs',
+    611: 'GFM autolinks bare URLs'
+};
+
+// Known gaps against the spec, tracked here until the renderer handles them
+const KNOWN_GAPS = {
+    6: 'a tab after > is not split into columns',
+    7: 'a tab after a list marker is not split into columns',
+    25: 'only common named entities are decoded',
+    28: 'unknown named entities are left unescaped',
+    30: 'unknown named entities are left unescaped',
+    32: 'entities in link destinations and titles are not decoded',
+    33: 'entities in link destinations and titles are not decoded',
+    34: 'entities in fence info strings are not decoded',
+    93: 'a setext underline can follow a lazy block quote line',
+    127: 'an unclosed fence keeps a trailing blank line',
+    137: 'an unclosed fence keeps a trailing blank line',
+    139: 'an unclosed fence keeps a trailing blank line',
+    216: 'a setext underline can follow a link reference definition',
+    236: 'indented code in a block quote takes a lazy line',
+    317: 'a reference definition between items does not make the list loose',
+    503: 'entities in link destinations and titles are not decoded',
+    526: '[ and ] in autolink URLs are not percent-encoded',
+    538: '[ and ] in autolink URLs are not percent-encoded',
+    574: 'nested image alt text loses the inner description',
+    603: '[ and ] in autolink URLs are not percent-encoded'
+};
+
+// Images get loading/decoding hints the spec output doesn't have
+const withoutLazyLoading = html => html.replace(/ loading="lazy" decoding="async"/g, '');
+
+describe('CommonMark spec', () => {
+    for (const example of spec.examples) {
+        const skip = SKIPPED_SECTIONS[example.section] || SKIPPED_EXAMPLES[example.number] || false;
+        const todo = KNOWN_GAPS[example.number] || false;
+        test(`example ${example.number} (${example.section})`, { skip, todo }, () => {
+            assert.equal(withoutLazyLoading(render(example.markdown)), example.html);
+        });
+    }
+});
+
+// ===== BLOCKS =====
+
+test('headingOffset shifts heading levels for posts', () => {
+    assert.equal(render('# T\n## U', { headingOffset: 1 }), '<h2>T</h2>\n<h3>U</h3>\n');
+    assert.equal(render('# T', Markdown.POST_OPTIONS), '<h2>T</h2>\n');
+});
+
+test('POST_OPTIONS keeps single newlines as line breaks', () => {
+    assert.equal(render('a\nb', Markdown.POST_OPTIONS), '<p>a<br />\nb</p>\n');
+    assert.equal(render('a\nb'), '<p>a\nb</p>\n');
+});
+
+test('fenced code keeps its language', () => {
+    assert.equal(
+        render('```ruby\ndef foo(x)\n  return 3\nend\n```'),
+        '<pre><code class="language-ruby">def foo(x)\n  return 3\nend\n</code></pre>\n'
+    );
+});
+
+test('GFM tables with alignment', () => {
+    assert.equal(
+        render('| foo | bar |\n| --- | --- |\n| baz | bim |'),
+        '<table>\n<thead>\n<tr>\n<th>foo</th>\n<th>bar</th>\n</tr>\n</thead>\n' +
+        '<tbody>\n<tr>\n<td>baz</td>\n<td>bim</td>\n</tr>\n</tbody>\n</table>\n'
+    );
+    assert.equal(
+        render('| abc | defghi |\n:-: | -----------:\nbar | baz'),
+        '<table>\n<thead>\n<tr>\n<th align="center">abc</th>\n<th align="right">defghi</th>\n</tr>\n</thead>\n' +
+        '<tbody>\n<tr>\n<td align="center">bar</td>\n<td align="right">baz</td>\n</tr>\n</tbody>\n</table>\n'
+    );
+});
+
+test('footnotes link to and from their definitions', () => {
+    assert.equal(
+        render('Text[^1].\n\n[^1]: The note.'),
+        '<p>Text<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>.</p>\n' +
+        '<section class="footnotes">\n<ol>\n<li id="fn-1">\n' +
+        '<p>The note. <a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">↩</a></p>\n' +
+        '</li>\n</ol>\n</section>\n'
+    );
+});
+
+// ===== INLINES =====
+
+test('bare URLs are autolinked', () => {
+    assert.equal(
+        render('https://example.com auto'),
+        '<p><a href="https://example.com">https://example.com</a> auto</p>\n'
+    );
+});
+
+test('images are lazy-loaded and use plain-text alt', () => {
+    assert.equal(
+        render('![foo *bar*](train.jpg "title")'),
+        '<p><img src="train.jpg" alt="foo bar" title="title" loading="lazy" decoding="async" /></p>\n'
+    );
+});
+
+// ===== LIMITS =====
+
+test('deeply nested blocks stop nesting instead of overflowing the stack', () => {
+    const quotes = render(`${'>'.repeat(5000)} x`);
+    assert.equal(quotes.match(/<blockquote>/g).length, 32);
+    assert.match(quotes, /<p>(&gt;)+ x<\/p>/);
+
+    const list = render(Array.from({ length: 3000 }, (_, depth) => `${'  '.repeat(depth)}- a`).join('\n'));
+    assert.equal(list.match(/<ul>/g).length, 32);
+});
+
+test('unmatched brackets and parentheses render in linear time', () => {
+    for (const input of [
+        '[a]('.repeat(10000),
+        '[^'.repeat(10000),
+        `${'['.repeat(5000)}a${']'.repeat(5000)}(b)`,
+        `${'['.repeat(5000)}${'[a](b)'.repeat(5000)}`
+    ]) {
+        const start = Date.now();
+        render(input);
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed < 1000, `${input.slice(0, 8)}… took ${elapsed}ms`);
+    }
+});
+
+test('link destinations allow balanced parentheses up to the nesting limit', () => {
+    assert.equal(render(`[a](${'('.repeat(32)}b${')'.repeat(32)})`), `<p><a href="${'('.repeat(32)}b${')'.repeat(32)}">a</a></p>\n`);
+    assert.equal(render(`[a](${'('.repeat(33)}b${')'.repeat(33)})`), `<p>[a](${'('.repeat(33)}b${')'.repeat(34)}</p>\n`);
+});
+
+// ===== ESCAPING =====
+
+test('raw HTML is escaped, never passed through', () => {
+    assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n');
+    assert.equal(render('<div onclick="x">hi</div>'), '<p>&lt;div onclick=&quot;x&quot;&gt;hi&lt;/div&gt;</p>\n');
+    assert.equal(render('a <b>c</b> `<i>`'), '<p>a &lt;b&gt;c&lt;/b&gt; <code>&lt;i&gt;</code></p>\n');
+});
+
+test('attribute values cannot break out of their quotes', () => {
+    assert.equal(
+        render('[x](/a "t\\" onmouseover=\\"y")'),
+        '<p><a href="/a" title="t&quot; onmouseover=&quot;y">x</a></p>\n'
+    );
+});
+
+test('javascript: and other unsafe URLs become #', () => {
+    for (const input of [
+        '[x](javascript:alert(1))',
+        '[x](JaVaScRiPt:alert(1))',
+        '[x](javascript&#58;alert(1))',
+        '[x](&#106;avascript:alert(1))',
+        '[x]: javascript:alert(1)\n\n[x]',
+        '[x](vbscript:msgbox)',
+        '[x](data:text/html,<b>)'
+    ]) {
+        assert.equal(render(input), '<p><a href="#">x</a></p>\n', input);
+    }
+    assert.equal(render('<javascript:alert(1)>'), '<p><a href="#">javascript:alert(1)</a></p>\n');
+    assert.match(render('![x](JAVASCRIPT:alert(1))'), /<img src="#"/);
+    assert.match(render('![x](data:text/html;base64,AAA)'), /<img src="#"/);
+});
+
+test('data: images are allowed only for raster types', () => {
+    assert.match(render('![x](data:image/png;base64,AAA)'), /<img src="data:image\/png;base64,AAA"/);
+    assert.equal(render('[x](data:image/png;base64,AAA)'), '<p><a href="#">x</a></p>\n');
+});
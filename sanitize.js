@@ -0,0 +1,137 @@
+/**
+ * HTML Sanitizer
+ * Shared escaping and allowlist sanitizing for everything injected with innerHTML
+ * Used by the public blog (blog.js) and the admin panel (admin.js)
+ */
+
+const Sanitizer = (function () {
+    // Tags allowed in rendered post content, with the attributes each may carry
+    const ALLOWED_TAGS = {
+        a: ['href', 'title'],
+        b: [], blockquote: [], br: [], code: [], del: [], div: [], em: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+        img: ['src', 'alt', 'title', 'width', 'height', 'loading', 'decoding'],
+        input: ['type', 'checked', 'disabled'],
+        li: [], ol: ['start'], p: [], pre: [], s: [], section: [], span: [],
+        strong: [], sub: [], sup: [],
+        table: [], tbody: [], td: ['align'], th: ['align'], thead: [], tr: [],
+        u: [], ul: []
+    };
+
+    // Attributes allowed on every allowed tag
+    const GLOBAL_ATTRIBUTES = ['class', 'id', 'aria-label'];
+
+    // Elements removed together with everything inside them
+    const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math'];
+
+    const URL_ATTRIBUTES = ['href', 'src'];
+
+    /**
+     * Escape a value for use in HTML text or a quoted attribute
+     * @param {*} value - any value; null/undefined become an empty string
+     * @returns {string} escaped string
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Allow only http(s), mailto, relative and fragment URLs
+     * (plus data:image URLs when allowDataImage is set, e.g. local file previews)
+     * @param {string} url - untrusted URL
+     * @param {object} [options]
+     * @param {boolean} [options.allowDataImage=false]
+     * @returns {string} the URL, or '#' when it is not safe
+     */
+    function safeUrl(url, options = {}) {
+        if (url === null || url === undefined) return '#';
+        const value = String(url).trim();
+        // Browsers ignore control characters and whitespace inside the scheme
+        const scheme = value.replace(/[\u0000- ]/g, '').toLowerCase();
+
+        if (/^data:image\/(png|gif|jpe?g|webp);/.test(scheme)) {
+            return options.allowDataImage ? value : '#';
+        }
+        if (/^[a-z][a-z0-9+.-]*:/.test(scheme) && !/^(https?|mailto):/.test(scheme)) {
+            return '#';
+        }
+        return value;
+    }
+
+    /**
+     * Remove disallowed elements and attributes from a DOM subtree in place
+     */
+    function cleanNode(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            // Comments, processing instructions, etc.
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.nodeName.toLowerCase();
+
+            if (DROP_WITH_CONTENT.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            // Unknown tags are unwrapped so their text survives
+            if (!ALLOWED_TAGS[tag]) {
+                cleanNode(node);
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const allowed = GLOBAL_ATTRIBUTES.includes(name) || ALLOWED_TAGS[tag].includes(name);
+
+                if (!allowed) {
+                    node.removeAttribute(attr.name);
+                } else if (URL_ATTRIBUTES.includes(name)) {
+                    node.setAttribute(name, safeUrl(attr.value, { allowDataImage: tag === 'img' }));
+                }
+            });
+
+            // Only read-only checkboxes (Markdown task lists) are allowed
+            if (tag === 'input') {
+                if ((node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                node.setAttribute('disabled', '');
+            }
+
+            // External links must not get a handle on this window
+            if (tag === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            cleanNode(node);
+        });
+    }
+
+    /**
+     * Sanitize an HTML fragment against the tag/attribute allowlist
+     * Parsing happens inside an inert <template>, so nothing executes while cleaning
+     * @param {string} html - untrusted HTML
+     * @returns {string} safe HTML
+     */
+    function sanitizeHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html === null || html === undefined ? '' : String(html);
+        cleanNode(template.content);
+        return template.innerHTML;
+    }
+
+    return { escapeHtml, safeUrl, sanitizeHtml };
+})();
@@ -0,0 +1,124 @@
+/**
+ * HTML Sanitizer Tests
+ * Run with: node --test sanitize.test.js
+ * sanitizeHtml needs a DOM, so these tests require jsdom
+ * (npm install --no-save jsdom); without it the sanitizeHtml cases fail
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, 'sanitize.js'), 'utf8');
+const Sanitizer = vm.runInNewContext(`${source}\nSanitizer;`, {});
+
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    // Reported by loadWithDom() so a missing DOM fails the run instead of passing silently
+}
+
+/**
+ * Load sanitize.js into a jsdom window so sanitizeHtml runs against a real parser
+ */
+function loadWithDom() {
+    if (!JSDOM) {
+        throw new Error('sanitizeHtml tests need jsdom: run `npm install --no-save jsdom` first');
+    }
+    const dom = new JSDOM('', { runScripts: 'outside-only' });
+    return dom.window.eval(`${source}\nSanitizer;`);
+}
+
+// ===== safeUrl =====
+
+test('safeUrl keeps http(s), mailto, relative and fragment URLs', () => {
+    for (const url of ['https://example.com/a?b=c', 'http://example.com', 'mailto:a@example.com', '/posts/1', 'post.html?id=1', '#top']) {
+        assert.equal(Sanitizer.safeUrl(url), url);
+    }
+    assert.equal(Sanitizer.safeUrl('  https://example.com  '), 'https://example.com');
+});
+
+test('safeUrl rejects script schemes regardless of case', () => {
+    for (const url of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'JAVASCRIPT:alert(1)', 'vbscript:msgbox(1)', 'file:///etc/passwd']) {
+        assert.equal(Sanitizer.safeUrl(url), '#', url);
+    }
+});
+
+test('safeUrl rejects schemes split by whitespace or control characters', () => {
+    for (const url of ['java\tscript:alert(1)', 'java\nscript:alert(1)', 'java\rscript:alert(1)', ' \u0001javascript:alert(1)', 'jav\u0000ascript:alert(1)']) {
+        assert.equal(Sanitizer.safeUrl(url), '#', JSON.stringify(url));
+    }
+});
+
+test('safeUrl only allows raster data:image URLs, and only when asked', () => {
+    assert.equal(Sanitizer.safeUrl('data:text/html,<script>alert(1)</script>'), '#');
+    assert.equal(Sanitizer.safeUrl('DaTa:text/html;base64,PHNjcmlwdD4='), '#');
+    assert.equal(Sanitizer.safeUrl('data:image/png;base64,AAAA'), '#');
+    assert.equal(Sanitizer.safeUrl('data:image/png;base64,AAAA', { allowDataImage: true }), 'data:image/png;base64,AAAA');
+    assert.equal(Sanitizer.safeUrl('data:image/svg+xml;base64,AAAA', { allowDataImage: true }), '#');
+});
+
+test('safeUrl treats null and undefined as unsafe', () => {
+    assert.equal(Sanitizer.safeUrl(null), '#');
+    assert.equal(Sanitizer.safeUrl(undefined), '#');
+});
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(Sanitizer.escapeHtml(`<img src=x onerror="a('b')">&`), '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt;&amp;');
+    assert.equal(Sanitizer.escapeHtml(null), '');
+});
+
+// ===== sanitizeHtml =====
+
+test('sanitizeHtml strips event handler attributes', () => {
+    const { sanitizeHtml } = loadWithDom();
+    assert.equal(sanitizeHtml('<img src=x onerror="alert(1)">'), '<img src="x">');
+    assert.equal(sanitizeHtml('<details open ontoggle=alert(1)>x</details>'), 'x');
+});
+
+test('sanitizeHtml drops svg and math with their content', () => {
+    const { sanitizeHtml } = loadWithDom();
+    assert.equal(sanitizeHtml('<svg onload="alert(1)"><circle/></svg>ok'), 'ok');
+    assert.equal(sanitizeHtml('<math><a href="javascript:alert(1)">x</a></math>'), '');
+    assert.equal(sanitizeHtml('<script>alert(1)</script><style>*{}</style>ok'), 'ok');
+});
+
+test('sanitizeHtml neutralises unsafe hrefs in any spelling', () => {
+    const { sanitizeHtml } = loadWithDom();
+    for (const href of [
+        'JaVaScRiPt:alert(1)',
+        'data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;',
+        'DATA:text/html;base64,PHNjcmlwdD4=',
+        '&#106;avascript&#58;alert(1)',
+        '&#x6A;avascript:alert(1)',
+        'java&#x09;script:alert(1)',
+        'java\nscript:alert(1)',
+        ' &#1;javascript:alert(1)'
+    ]) {
+        assert.equal(sanitizeHtml(`<a href="${href}">x</a>`), '<a href="#">x</a>', href);
+    }
+});
+
+test('sanitizeHtml drops links hidden inside template and noscript', () => {
+    const { sanitizeHtml } = loadWithDom();
+    assert.equal(sanitizeHtml('<template><a href="javascript:alert(1)">x</a></template>y'), 'y');
+    assert.equal(sanitizeHtml('<noscript><a href="javascript:alert(1)">x</a></noscript>y'), 'y');
+});
+
+test('sanitizeHtml removes style and srcset attributes', () => {
+    const { sanitizeHtml } = loadWithDom();
+    assert.equal(sanitizeHtml('<p style="background:url(javascript:alert(1))">t</p>'), '<p>t</p>');
+    assert.equal(sanitizeHtml('<img src="/a.png" srcset="javascript:alert(1) 1x">'), '<img src="/a.png">');
+});
+
+test('sanitizeHtml keeps allowed content', () => {
+    const { sanitizeHtml } = loadWithDom();
+    assert.equal(sanitizeHtml('<img src="data:image/png;base64,AA">'), '<img src="data:image/png;base64,AA">');
+    assert.equal(sanitizeHtml('<img src="data:image/svg+xml;base64,AA">'), '<img src="#">');
+    assert.equal(sanitizeHtml('<a href="https://e.com">e</a>'), '<a href="https://e.com" rel="noopener noreferrer">e</a>');
+    assert.equal(sanitizeHtml('<input type="text" value=x><input type="checkbox" checked>'), '<input type="checkbox" checked="" disabled="">');
+    assert.equal(sanitizeHtml('<b><!-- c -->t</b>'), '<b>t</b>');
+});
@@ -0,0 +1,272 @@
+/**
+ * Syntax Highlighter
+ * Small, offline highlighter for code blocks rendered by markdown.js
+ * Languages: JavaScript, TypeScript, Python, Shell, JSON, HTML and CSS
+ * Needs sanitize.js and clipboard.js loaded first
+ */
+
+const SyntaxHighlighter = (function () {
+    // ===== HELPERS =====
+
+    const escapeHtml = Sanitizer.escapeHtml;
+
+    /**
+     * Build a sticky rule; `type` null means "consume as plain text"
+     */
+    function rule(type, pattern, inside) {
+        return { type, pattern: new RegExp(pattern.source, `${pattern.flags.replace('g', '')}y`), inside };
+    }
+
+    function keywords(words) {
+        return new RegExp(`\\b(?:${words.join('|')})\\b`);
+    }
+
+    /**
+     * Tokenize code with an ordered rule list; the first rule that matches at a position wins
+     */
+    function tokenize(code, rules) {
+        let html = '';
+        let plain = '';
+        let pos = 0;
+
+        outer:
+        while (pos < code.length) {
+            for (const current of rules) {
+                current.pattern.lastIndex = pos;
+                const match = current.pattern.exec(code);
+                if (!match || !match[0].length) continue;
+
+                html += escapeHtml(plain);
+                plain = '';
+
+                if (current.inside) {
+                    html += current.inside(match[0]);
+                } else if (current.type) {
+                    html += `<span class="tok-${current.type}">${escapeHtml(match[0])}</span>`;
+                } else {
+                    html += escapeHtml(match[0]);
+                }
+                pos += match[0].length;
+                continue outer;
+            }
+            plain += code[pos];
+            pos++;
+        }
+
+        return html + escapeHtml(plain);
+    }
+
+    // ===== LANGUAGE DEFINITIONS =====
+
+    const JS_KEYWORDS = [
+        'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+        'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import',
+        'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+        'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+    ];
+
+    const TS_KEYWORDS = JS_KEYWORDS.concat([
+        'abstract', 'as', 'declare', 'enum', 'implements', 'interface', 'is', 'keyof', 'namespace',
+        'private', 'protected', 'public', 'readonly', 'satisfies', 'type'
+    ]);
+
+    const javascriptRules = (keywordList, extra = []) => [
+        rule('comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/),
+        rule('string', /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/),
+        ...extra,
+        rule('keyword', keywords(keywordList)),
+        rule('literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/),
+        rule('number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?n?)\b/),
+        rule('function', /[A-Za-z_$][\w$]*(?=\s*\()/),
+        rule('class-name', /\b[A-Z][\w$]*/),
+        rule(null, /[A-Za-z_$][\w$]*/),
+        rule('operator', /=>|[-+*/%=!<>&|^~?:]+/),
+        rule('punctuation', /[{}[\];(),.]/)
+    ];
+
+    const LANGUAGES = {
+        javascript: javascriptRules(JS_KEYWORDS),
+
+        typescript: javascriptRules(TS_KEYWORDS, [
+            rule('builtin', /\b(?:string|number|boolean|any|unknown|never|object|symbol|bigint)\b/)
+        ]),
+
+        python: [
+            rule('comment', /#[^\n]*/),
+            rule('string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/),
+            rule('decorator', /@[\w.]+/),
+            rule('keyword', keywords([
+                'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+                'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+                'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+            ])),
+            rule('literal', /\b(?:True|False|None)\b/),
+            rule('builtin', keywords([
+                'print', 'len', 'range', 'enumerate', 'zip', 'map', 'filter', 'sorted', 'list', 'dict', 'set',
+                'tuple', 'str', 'int', 'float', 'bool', 'open', 'isinstance', 'super', 'self', 'type'
+            ])),
+            rule('number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?j?)\b/),
+            rule('function', /[A-Za-z_]\w*(?=\s*\()/),
+            rule(null, /[A-Za-z_]\w*/),
+            rule('operator', /[-+*/%=!<>&|^~@:]+/),
+            rule('punctuation', /[{}[\];(),.]/)
+        ],
+
+        shell: [
+            rule('comment', /(?:^|(?<=\s))#[^\n]*/),
+            rule('string', /"(?:\\[\s\S]|[^\\"])*"|'[^']*'/),
+            rule('variable', /\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[@*#?$!0-9])/),
+            rule('keyword', keywords([
+                'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac',
+                'function', 'in', 'return', 'export', 'local', 'readonly', 'unset', 'select'
+            ])),
+            rule('builtin', keywords([
+                'echo', 'cd', 'ls', 'cat', 'grep', 'sed', 'awk', 'mkdir', 'rm', 'cp', 'mv', 'touch', 'chmod',
+                'sudo', 'curl', 'wget', 'git', 'npm', 'npx', 'node', 'yarn', 'pnpm', 'docker', 'python', 'pip',
+                'source', 'exit', 'set', 'printf', 'read', 'test'
+            ])),
+            rule('parameter', /(?<=\s)--?[A-Za-z][\w-]*/),
+            rule('number', /\b\d+\b/),
+            rule(null, /[A-Za-z_][\w-]*/),
+            rule('operator', /&&|\|\||[|&;<>]+|=/)
+        ],
+
+        json: [
+            rule('property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/),
+            rule('string', /"(?:\\.|[^\\"\n])*"/),
+            rule('number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/),
+            rule('literal', /\b(?:true|false|null)\b/),
+            rule('punctuation', /[{}[\],:]/)
+        ],
+
+        html: [
+            rule('comment', /<!--[\s\S]*?(?:-->|$)/),
+            rule('doctype', /<!DOCTYPE[^>]*>/i),
+            rule('tag', /<\/?[A-Za-z][\w:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/, highlightTag),
+            rule('entity', /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z][A-Za-z0-9]*);/)
+        ],
+
+        css: [
+            rule('comment', /\/\*[\s\S]*?(?:\*\/|$)/),
+            rule('string', /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/),
+            rule('keyword', /@[\w-]+/),
+            // Bounded so text without a "{" is not rescanned to the end from every position
+            rule('selector', /[^{}\s;@][^{};]{0,255}?(?=\s*\{)/),
+            rule('property', /--?[A-Za-z][\w-]*(?=\s*:)|[A-Za-z-]+(?=\s*:)/),
+            rule('number', /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:px|em|rem|%|vh|vw|vmin|vmax|s|ms|deg|fr|ch|ex)?\b%?/),
+            rule('function', /[\w-]+(?=\()/),
+            rule('keyword', /!important\b/),
+            rule(null, /[\w-]+/),
+            rule('punctuation', /[{}();:,]/)
+        ]
+    };
+
+    // Rules used inside an HTML tag (<a href="...">)
+    const TAG_RULES = [
+        rule('tag', /^<\/?[A-Za-z][\w:-]*/),
+        rule('attr-value', /=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+)/),
+        rule('attr-name', /[^\s"'>/=]+/),
+        rule('tag', /\/?>/)
+    ];
+
+    function highlightTag(tag) {
+        return tokenize(tag, TAG_RULES);
+    }
+
+    const ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript',
+        py: 'python', python3: 'python',
+        sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+        xml: 'html', svg: 'html', htm: 'html', vue: 'html',
+        scss: 'css', less: 'css',
+        jsonc: 'json', json5: 'json'
+    };
+
+    // Friendly names for the code block header
+    const LABELS = {
+        javascript: 'JavaScript', typescript: 'TypeScript', python: 'Python', shell: 'Shell',
+        json: 'JSON', html: 'HTML', css: 'CSS'
+    };
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Resolve a fence language hint ("js", "bash", ...) to a supported language name
+     * @returns {string|null}
+     */
+    function resolveLanguage(lang) {
+        const name = String(lang || '').toLowerCase();
+        const resolved = ALIASES[name] || name;
+        return LANGUAGES[resolved] ? resolved : null;
+    }
+
+    /**
+     * Highlight code as HTML; unknown languages are returned escaped but uncoloured
+     * @param {string} code - raw code
+     * @param {string} lang - language hint from the code fence
+     * @returns {string} HTML
+     */
+    function highlight(code, lang) {
+        const language = resolveLanguage(lang);
+        return language ? tokenize(code, LANGUAGES[language]) : escapeHtml(code);
+    }
+
+    /**
+     * Highlight every <pre><code> in a container and add a language label,
+     * line numbers and a copy button
+     * @param {Element} container
+     */
+    function highlightAll(container) {
+        container.querySelectorAll('pre > code').forEach(codeElement => {
+            const pre = codeElement.parentElement;
+            if (pre.parentElement && pre.parentElement.classList.contains('code-block')) return;
+
+            const langMatch = codeElement.className.match(/language-([\w+#-]+)/);
+            const language = resolveLanguage(langMatch ? langMatch[1] : '');
+            const code = codeElement.textContent.replace(/\n$/, '');
+
+            codeElement.innerHTML = highlight(code, language);
+
+            // Line numbers live in a separate gutter so highlighted spans can cross lines
+            const lineCount = code.split('\n').length;
+            const gutter = document.createElement('span');
+            gutter.className = 'code-line-numbers';
+            gutter.setAttribute('aria-hidden', 'true');
+            gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+            pre.insertBefore(gutter, codeElement);
+            pre.classList.add('has-line-numbers');
+
+            const header = document.createElement('div');
+            header.className = 'code-block-header';
+
+            const label = document.createElement('span');
+            label.className = 'code-block-lang';
+            label.textContent = language ? LABELS[language] : (langMatch ? langMatch[1] : 'Code');
+
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.className = 'code-copy-btn';
+            copyBtn.innerHTML = '<i class="far fa-copy"></i> Copy';
+            copyBtn.addEventListener('click', async () => {
+                copyBtn.innerHTML = await copyText(code)
+                    ? '<i class="fas fa-check"></i> Copied'
+                    : '<i class="fas fa-times"></i> Failed';
+                setTimeout(() => {
+                    copyBtn.innerHTML = '<i class="far fa-copy"></i> Copy';
+                }, 2000);
+            });
+
+            header.appendChild(label);
+            header.appendChild(copyBtn);
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+            pre.replaceWith(wrapper);
+            wrapper.appendChild(header);
+            wrapper.appendChild(pre);
+        });
+    }
+
+    return { highlight, highlightAll, resolveLanguage };
+})();
@@ -0,0 +1,47 @@
+/**
+ * Syntax Highlighter Tests
+ * Run with: node --test syntax-highlight.test.js
+ * Loads sanitize.js and syntax-highlight.js as the browser would (plain scripts) inside a vm context
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+for (const file of ['sanitize.js', 'syntax-highlight.js']) {
+    new vm.Script(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file }).runInContext(context);
+}
+const SyntaxHighlighter = vm.runInContext('SyntaxHighlighter', context);
+
+const highlight = (code, lang) => SyntaxHighlighter.highlight(code, lang);
+
+test('CSS selectors are highlighted up to the opening brace, across lines', () => {
+    assert.equal(
+        highlight('h1,\nh2 > a:hover {\n  color: red;\n}', 'css'),
+        '<span class="tok-selector">h1,\nh2 &gt; a:hover</span> <span class="tok-punctuation">{</span>\n' +
+        '  <span class="tok-property">color</span><span class="tok-punctuation">:</span> red<span class="tok-punctuation">;</span>\n' +
+        '<span class="tok-punctuation">}</span>'
+    );
+});
+
+test('CSS without an opening brace highlights in linear time', () => {
+    const start = Date.now();
+    const html = highlight('a b c '.repeat(8000), 'css');
+    const elapsed = Date.now() - start;
+    assert.ok(!html.includes('tok-selector'));
+    assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+});
+
+test('code is escaped, highlighted or not', () => {
+    assert.equal(
+        highlight('if (a < b) x = "<i>";', 'js'),
+        '<span class="tok-keyword">if</span> <span class="tok-punctuation">(</span>a ' +
+        '<span class="tok-operator">&lt;</span> b<span class="tok-punctuation">)</span> x ' +
+        '<span class="tok-operator">=</span> <span class="tok-string">&quot;&lt;i&gt;&quot;</span>' +
+        '<span class="tok-punctuation">;</span>'
+    );
+    assert.equal(highlight('<b>&amp;</b>', 'unknown'), '&lt;b&gt;&amp;amp;&lt;/b&gt;');
+});